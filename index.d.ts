@@ -17,3 +17,44 @@ export declare function generateSwaggerSpec(
   loopbackApplication: any,
   options?: any
 ): any;
+
+export declare function generateSwaggerSpecAsync(
+  loopbackApplication: any,
+  options?: any
+): Promise<any>;
+
+export declare function serializeSwaggerSpec(
+  spec: any,
+  format?: 'json' | 'yaml'
+): string;
+
+export interface SwaggerSpecViolation {
+  pointer: string;
+  message: string;
+  keyword: string;
+  params: any;
+  schemaPath: string;
+}
+
+export declare function validateSwaggerSpec(
+  spec: any
+): SwaggerSpecViolation[];
+
+export declare function writeSwaggerSpec(
+  loopbackApplication: any,
+  file: string,
+  options?: any
+): Promise<any>;
+
+export declare function middleware(
+  loopbackApplication: any,
+  options?: any
+): (req: any, res: any, next: (err?: any) => void) => void;
+
+export declare class SpecBuilder {
+  constructor(loopbackApplication: any, options?: any);
+  build(dynamicAccess?: any): any;
+  buildAsync(): Promise<any>;
+  invalidate(className?: string): void;
+  dispose(): void;
+}
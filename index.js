@@ -10,10 +10,16 @@ var SG = require('strong-globalize');
 SG.SetRootDir(__dirname);
 var g = SG();
 
+var fs = require('fs');
 var V2Generator = require('./lib/codegen/generator-v2');
 var V12Generator = require('./lib/codegen/generator-v1.2');
 var generateModels = require('./lib/codegen/json-schema');
 var generateSwaggerSpec = require('./lib/specgen/swagger-spec-generator');
+var createSpecMiddleware = require('./lib/specgen/middleware');
+var SpecBuilder = require('./lib/specgen/spec-builder');
+var serializer = require('./lib/specgen/serializer');
+var specValidator = require('./lib/specgen/spec-validator');
+var openapiHelper = require('./lib/specgen/openapi-helper');
 
 function getGenerator(spec) {
   var generator;
@@ -56,7 +62,7 @@ exports.generateCode = function(version, modelName, operations) {
 
 /**
  * Generate model definitions
- * @param {Object} spec Swagger spec
+ * @param {Object} spec Swagger or OpenAPI 3.x spec
  * @param {Object} options
  * @returns {Object}
  */
@@ -64,6 +70,8 @@ exports.generateModels = function(spec, options) {
   var models;
   if (spec && spec.swagger === '2.0') {
     models = spec.definitions;
+  } else if (openapiHelper.isOpenApi3(spec)) {
+    models = spec.components && spec.components.schemas;
   } else if (spec && spec.swaggerVersion === '1.2') {
     models = spec.models;
   } else {
@@ -75,3 +83,52 @@ exports.generateModels = function(spec, options) {
 exports.getGenerator = getGenerator;
 
 exports.generateSwaggerSpec = generateSwaggerSpec;
+
+exports.generateSwaggerSpecAsync = generateSwaggerSpec.createSwaggerObjectAsync;
+
+/**
+ * Serialize a spec with a stable order of fields
+ * @param {Object} spec Swagger or OpenAPI spec
+ * @param {String} format `json` (default) or `yaml`
+ * @returns {String}
+ */
+exports.serializeSwaggerSpec = function(spec, format) {
+  return serializer.serialize(spec, format);
+};
+
+/**
+ * Validate a Swagger 2.0 or OpenAPI 3.0 spec against its JSON schema
+ * @param {Object} spec Swagger or OpenAPI spec
+ * @returns {Object[]} Violations, each with the JSON pointer of the invalid
+ *   value and a message
+ */
+exports.validateSwaggerSpec = specValidator.validateSwaggerSpec;
+
+/**
+ * Generate the spec of a LoopBack application and write it to a file,
+ * as JSON or YAML depending on the file extension
+ * @param {Application} loopbackApplication
+ * @param {String} file Path of a .json, .yaml or .yml file
+ * @param {Object} options Options of generateSwaggerSpec
+ * @returns {Promise} Resolves with the spec
+ */
+exports.writeSwaggerSpec = function(loopbackApplication, file, options) {
+  return new Promise(function(resolve, reject) {
+    var spec, content;
+    try {
+      var format = serializer.getFileFormat(file);
+      spec = generateSwaggerSpec(loopbackApplication, options);
+      content = serializer.serialize(spec, format);
+    } catch (err) {
+      return reject(err);
+    }
+    fs.writeFile(file, content, function(err) {
+      if (err) return reject(err);
+      resolve(spec);
+    });
+  });
+};
+
+exports.middleware = createSpecMiddleware;
+
+exports.SpecBuilder = SpecBuilder;
@@ -5,19 +5,32 @@
 
 'use strict';
 
+var _ = require('lodash');
+
 function getRef(obj) {
   return (obj != null && typeof obj === 'object') &&
     (obj.$ref || obj.$REF);
 }
 
+var REF_PREFIXES = ['#/definitions/', '#/components/schemas/', '#/models/'];
+
+/**
+ * Get the name of the model a reference points to
+ * @param {String} ref The reference, e.g. `#/definitions/Pet`
+ * @returns {String}
+ */
+function getRefName(ref) {
+  for (var i = 0; i < REF_PREFIXES.length; i++) {
+    if (ref.indexOf(REF_PREFIXES[i]) === 0) {
+      return ref.substring(REF_PREFIXES[i].length);
+    }
+  }
+  return ref;
+}
+
 function resolveTypeRef(schema, ref) {
   if (typeof ref === 'string') {
-    if (ref.indexOf('#/definitions/') === 0) {
-      ref = ref.substring('#/definitions/'.length);
-    }
-    if (ref.indexOf('#/models/') === 0) {
-      ref = ref.substring('#/models/'.length);
-    }
+    ref = getRefName(ref);
     var model = schema[ref];
     if (model) {
       if (model.type === 'object' || !model.type) {
@@ -101,7 +114,7 @@ function buildModel(models, schema, jsonModel, modelName, anonymous) {
       var itemModel;
       if (getRef(item)) {
         // Extract model name from reference object
-        base = models[getRef(item).substring('#/definitions/'.length)] || base;
+        base = models[getRefName(getRef(item))] || base;
         refs.push(base);
       } else {
         // Build the embedded model
@@ -161,6 +174,70 @@ function buildModel(models, schema, jsonModel, modelName, anonymous) {
   return model;
 }
 
+/**
+ * Set the `swagger.discriminator` setting of a polymorphic model, mapping
+ * the values of the discriminator property to the subtype models. Swagger
+ * 2.0 subtypes extend the polymorphic model by `allOf`. OpenAPI 3.x
+ * polymorphic models are `oneOf` their subtypes instead, the properties
+ * shared by all subtypes are moved to the polymorphic model, which the
+ * subtypes then extend.
+ * @param {Object} models LoopBack model definitions by name
+ * @param {Object} schema JSON Schema
+ * @param {String} modelName The name of the polymorphic model
+ */
+function buildDiscriminator(models, schema, modelName) {
+  var discriminator = schema[modelName].discriminator;
+  var model = models[modelName];
+  var mapping = {};
+  var m;
+  if (typeof discriminator === 'string') {
+    for (m in models) {
+      if (models[m].base === modelName) {
+        mapping[schema[m]['x-discriminator-value'] || m] = m;
+      }
+    }
+  } else {
+    for (var value in discriminator.mapping) {
+      mapping[value] = getRefName(discriminator.mapping[value]);
+    }
+  }
+
+  // Subtypes which are not mapped are identified by their name
+  var subtypeNames = [];
+  var alternatives = schema[modelName].oneOf || schema[modelName].anyOf;
+  [].concat(alternatives || []).forEach(function(item) {
+    var name = getRef(item) && getRefName(getRef(item));
+    if (name && models[name] && subtypeNames.indexOf(name) === -1) {
+      subtypeNames.push(name);
+    }
+  });
+  subtypeNames.forEach(function(name) {
+    if (!_.includes(mapping, name)) mapping[name] = name;
+  });
+  model.swagger = _.assign({}, model.swagger, {
+    discriminator: {
+      propertyName: discriminator.propertyName || discriminator,
+      mapping: mapping,
+    },
+  });
+
+  var subtypes = subtypeNames.map(function(name) {
+    return models[name];
+  });
+  if (!subtypes.length) return;
+
+  var shared = _.pickBy(subtypes[0].properties, function(property, name) {
+    return subtypes.every(function(subtype) {
+      return _.isEqual(subtype.properties[name], property);
+    });
+  });
+  _.defaults(model.properties, shared);
+  subtypes.forEach(function(subtype) {
+    subtype.properties = _.omit(subtype.properties, Object.keys(shared));
+    subtype.base = subtype.base || modelName;
+  });
+}
+
 /**
  * Convert the JSON-schema to LoopBack model definitions
  * @param {Object} schema
@@ -174,5 +251,10 @@ module.exports = function(schema) {
     var jsonModel = schema[m];
     buildModel(models, schema, jsonModel, m);
   }
+  for (m in schema) {
+    if (models[m] && schema[m].discriminator) {
+      buildDiscriminator(models, schema, m);
+    }
+  }
   return models;
 };
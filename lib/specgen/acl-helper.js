@@ -0,0 +1,385 @@
+// Copyright IBM Corp. 2020. All Rights Reserved.
+// Node module: loopback-swagger
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+/**
+ * Module dependencies.
+ */
+var debug = require('debug')('loopback:explorer:aclHelpers');
+
+var EVERYONE = '$everyone';
+var UNAUTHENTICATED = '$unauthenticated';
+var AUTHENTICATED = '$authenticated';
+
+// Principals of a caller without an access token, and of a caller
+// presenting a valid token that is not mapped to any other role.
+var ANONYMOUS_ROLES = [EVERYONE, UNAUTHENTICATED];
+var AUTHENTICATED_ROLES = [EVERYONE, AUTHENTICATED];
+
+// Scopes required by methods without `accessScopes`, and granted
+// to tokens created without scopes (including anonymous callers)
+var DEFAULT_SCOPES = ['DEFAULT'];
+
+/**
+ * Export the aclHelper singleton.
+ */
+var aclHelper = module.exports = {
+  /**
+   * Find the shared method invoked by a route.
+   * @param {SharedClass} classDef Strong Remoting class.
+   * @param {Object} route Strong Remoting Route object.
+   * @returns {SharedMethod} The shared method or undefined.
+   */
+  findSharedMethod: function(classDef, route) {
+    if (!classDef || typeof classDef.methods !== 'function') return undefined;
+    return classDef.methods().filter(function(method) {
+      return method.stringName === route.method;
+    })[0];
+  },
+
+  /**
+   * Get the names a shared method can be referenced by in ACL `property`.
+   * @param {SharedMethod} sharedMethod
+   * @returns {Array}
+   */
+  getMethodNames: function(sharedMethod) {
+    return [sharedMethod.name].concat(sharedMethod.aliases || []);
+  },
+
+  /**
+   * Determine the access type (READ, WRITE, ...) of a shared method
+   * the same way LoopBack does when checking access.
+   * @param {Function} modelCtor The model class.
+   * @param {SharedMethod} sharedMethod
+   * @returns {String}
+   */
+  getAccessType: function(modelCtor, sharedMethod) {
+    if (modelCtor && typeof modelCtor._getAccessTypeForMethod === 'function') {
+      return modelCtor._getAccessTypeForMethod(sharedMethod);
+    }
+    return sharedMethod.accessType || 'EXECUTE';
+  },
+
+  /**
+   * Get the token scopes allowing to invoke a shared method,
+   * any of them is sufficient.
+   * @param {SharedMethod} sharedMethod
+   * @returns {Array}
+   */
+  getAccessScopes: function(sharedMethod) {
+    return sharedMethod.accessScopes || DEFAULT_SCOPES;
+  },
+
+  /**
+   * Collect static ACLs applying to a shared method, including ACLs
+   * inherited from base models and ACLs registered under method aliases.
+   * @param {Function} ACL The ACL model class.
+   * @param {String} modelName
+   * @param {SharedMethod} sharedMethod
+   * @returns {ACL[]}
+   */
+  getStaticACLs: function(ACL, modelName, sharedMethod) {
+    var acls = [];
+    aclHelper.getMethodNames(sharedMethod).forEach(function(name) {
+      ACL.getStaticACLs(modelName, name).forEach(function(acl) {
+        var isDuplicate = acls.some(function(known) {
+          return known.property === acl.property &&
+            known.accessType === acl.accessType &&
+            known.principalType === acl.principalType &&
+            known.principalId === acl.principalId &&
+            known.permission === acl.permission;
+        });
+        if (!isDuplicate) acls.push(acl);
+      });
+    });
+    return acls;
+  },
+
+  /**
+   * Resolve the effective permission of the given principals,
+   * ranking ACLs like `ACL.checkAccessForContext` does.
+   *
+   * @param {Function} ACL The ACL model class.
+   * @param {ACL[]} acls ACLs applying to the method.
+   * @param {Object} request Access request: `model`, `property`,
+   *   `accessType` and `methodNames`.
+   * @param {Array} roles Role names the caller is mapped to.
+   * @param {Object} [principal] Non-role principal of the caller,
+   *   e.g. `{principalType: 'USER', principalId: '1'}`.
+   * @returns {String} `ALLOW` or `DENY`.
+   */
+  resolvePermission: function(ACL, acls, request, roles, principal) {
+    var effectiveACLs = acls.filter(function(acl) {
+      if (acl.principalType === ACL.ROLE) {
+        return roles.indexOf(acl.principalId) !== -1;
+      }
+      return !!principal && acl.principalType === principal.principalType &&
+        String(acl.principalId) === String(principal.principalId);
+    });
+    var resolved = ACL.resolvePermission(effectiveACLs, {
+      model: request.model,
+      property: request.property,
+      accessType: request.accessType,
+      methodNames: request.methodNames,
+    });
+    return resolved.isAllowed() ? ACL.ALLOW : ACL.DENY;
+  },
+
+  /**
+   * Resolve the effective permission of every principal mentioned
+   * in the ACLs. Callers mapped to a role (or identified as a user or
+   * an application) are also members of `$everyone` and `$authenticated`.
+   *
+   * @param {Function} ACL The ACL model class.
+   * @param {ACL[]} acls ACLs applying to the method.
+   * @param {Object} request Access request, see `resolvePermission`.
+   * @param {Object} [memberships] Roles granted to principals by role
+   *   mappings, see `buildMemberships`.
+   * @returns {Object} `allow` and `deny` lists of principals,
+   *   each principal is described by `principalType` and `principalId`.
+   */
+  resolvePrincipals: function(ACL, acls, request, memberships) {
+    var result = {allow: [], deny: []};
+    var principals = [
+      {principalType: ACL.ROLE, principalId: UNAUTHENTICATED},
+      {principalType: ACL.ROLE, principalId: AUTHENTICATED},
+    ];
+    acls.forEach(function(acl) {
+      var isKnown = principals.some(function(p) {
+        return p.principalType === acl.principalType &&
+          String(p.principalId) === String(acl.principalId);
+      });
+      if (!isKnown && acl.principalId !== EVERYONE) {
+        principals.push({
+          principalType: acl.principalType,
+          principalId: acl.principalId,
+        });
+      }
+    });
+
+    principals.forEach(function(principal) {
+      var permission;
+      var mappedRoles = aclHelper.getMappedRoles(memberships, principal);
+      if (principal.principalType !== ACL.ROLE) {
+        permission = aclHelper.resolvePermission(ACL, acls, request,
+          AUTHENTICATED_ROLES.concat(mappedRoles), principal);
+      } else if (principal.principalId === UNAUTHENTICATED) {
+        permission = aclHelper.resolvePermission(ACL, acls, request,
+          ANONYMOUS_ROLES);
+      } else {
+        permission = aclHelper.resolvePermission(ACL, acls, request,
+          AUTHENTICATED_ROLES.concat(principal.principalId, mappedRoles));
+      }
+      result[permission === ACL.ALLOW ? 'allow' : 'deny'].push(principal);
+    });
+    return result;
+  },
+
+  /**
+   * Index role mappings by principal.
+   * @param {Role[]} roles Persisted roles.
+   * @param {RoleMapping[]} roleMappings Persisted role mappings.
+   * @returns {Object} Names of the roles granted to each principal, keyed
+   *   by `{principalType}:{principalId}`. Principals of type `ROLE` are
+   *   identified by the role name.
+   */
+  buildMemberships: function(roles, roleMappings) {
+    var roleNames = {};
+    roles.forEach(function(role) {
+      roleNames[role.id] = role.name;
+    });
+
+    var memberships = {};
+    roleMappings.forEach(function(mapping) {
+      var roleName = roleNames[mapping.roleId];
+      if (!roleName) return;
+      var principalId = mapping.principalType === 'ROLE' ?
+        roleNames[mapping.principalId] || mapping.principalId :
+        mapping.principalId;
+      var key = mapping.principalType + ':' + principalId;
+      memberships[key] = (memberships[key] || []).concat(roleName);
+    });
+    return memberships;
+  },
+
+  /**
+   * Get the roles granted to a principal by role mappings, including roles
+   * granted to those roles.
+   * @param {Object} memberships Memberships built by `buildMemberships`.
+   * @param {Object} principal Principal described by `principalType`
+   *   and `principalId`.
+   * @returns {Array} Role names.
+   */
+  getMappedRoles: function(memberships, principal) {
+    var result = [];
+    if (!memberships) return result;
+    var pending = [principal.principalType + ':' + principal.principalId];
+    while (pending.length) {
+      (memberships[pending.shift()] || []).forEach(function(roleName) {
+        if (result.indexOf(roleName) !== -1) return;
+        result.push(roleName);
+        pending.push('ROLE:' + roleName);
+      });
+    }
+    return result;
+  },
+
+  /**
+   * Select persisted ACLs which may apply to a method, like the query run
+   * by `ACL.checkAccessForContext`.
+   * @param {ACL[]} acls Persisted ACLs.
+   * @param {Object} request Access request, see `resolvePermission`.
+   * @returns {ACL[]}
+   */
+  filterACLs: function(acls, request) {
+    var properties = request.methodNames.concat('*');
+    return acls.filter(function(acl) {
+      return (!acl.model || acl.model === '*' || acl.model === request.model) &&
+        (!acl.property || properties.indexOf(acl.property) !== -1);
+    });
+  },
+
+  /**
+   * Load ACLs and role mappings persisted in the app's data sources.
+   * Models which are not attached to a data source are skipped.
+   *
+   * Only ACLs of the given models are loaded, and only the role mappings
+   * granting roles to other roles or to the users and applications named
+   * by ACLs, not the mappings of every user.
+   *
+   * @param {Function} ACL The ACL model class.
+   * @param {Function} [Role] The Role model class.
+   * @param {Function} [RoleMapping] The RoleMapping model class.
+   * @param {Function[]} models The documented model classes.
+   * @returns {Promise} Resolves with `acls` and `memberships`, see
+   *   `resolveAccess`.
+   */
+  loadDynamicAccess: function(ACL, Role, RoleMapping, models) {
+    var modelNames = models.map(function(model) {
+      return model.modelName;
+    });
+    var acls, roleMappings;
+    return findAll(ACL, {model: {inq: modelNames.concat('*')}})
+      .then(function(result) {
+        acls = result;
+        var staticACLs = [].concat.apply([], models.map(function(model) {
+          return model.settings && model.settings.acls || [];
+        }));
+        var principals = getMappedPrincipals(acls.concat(staticACLs));
+        return findAll(RoleMapping, {
+          or: [{principalType: 'ROLE'}].concat(principals),
+        });
+      }).then(function(result) {
+        roleMappings = result;
+        var roleIds = [];
+        roleMappings.forEach(function(mapping) {
+          roleIds.push(mapping.roleId);
+          if (mapping.principalType === 'ROLE') {
+            roleIds.push(mapping.principalId);
+          }
+        });
+        return roleIds.length ? findAll(Role, {id: {inq: roleIds}}) : [];
+      }).then(function(roles) {
+        debug('loaded %d ACLs, %d roles and %d role mappings',
+          acls.length, roles.length, roleMappings.length);
+        return {
+          acls: acls,
+          memberships: aclHelper.buildMemberships(roles, roleMappings),
+        };
+      });
+  },
+
+  /**
+   * Get names of the roles allowed to invoke a method.
+   * @param {Object} access Access descriptor built by `resolveAccess`.
+   * @returns {Array}
+   */
+  getAllowedRoles: function(access) {
+    return access.principals.allow.filter(function(principal) {
+      return principal.principalType === 'ROLE';
+    }).map(function(principal) {
+      return principal.principalId;
+    });
+  },
+
+  /**
+   * Compute who can invoke a remote method.
+   *
+   * @param {Function} ACL The ACL model class.
+   * @param {Function} modelCtor The model class.
+   * @param {SharedMethod} sharedMethod
+   * @param {Object} [dynamicAccess] ACLs (`acls`) and role mappings
+   *   (`memberships`) loaded by `loadDynamicAccess`.
+   * @returns {Object} Access descriptor with the following properties:
+   *   - `accessType` The access type of the method.
+   *   - `acls` ACLs applying to the method.
+   *   - `permissions` The effective permission of `unauthenticated`
+   *     and `authenticated` callers.
+   *   - `principals` Principals allowed and denied by the ACLs,
+   *     see `resolvePrincipals`.
+   *   - `scopes` Token scopes allowing to invoke the method.
+   *   - `isPublic` True when anonymous callers are allowed.
+   */
+  resolveAccess: function(ACL, modelCtor, sharedMethod, dynamicAccess) {
+    dynamicAccess = dynamicAccess || {};
+    var modelName = modelCtor.modelName;
+    var request = {
+      model: modelName,
+      property: sharedMethod.name,
+      accessType: aclHelper.getAccessType(modelCtor, sharedMethod),
+      methodNames: aclHelper.getMethodNames(sharedMethod),
+    };
+    var acls = aclHelper.getStaticACLs(ACL, modelName, sharedMethod)
+      .concat(aclHelper.filterACLs(dynamicAccess.acls || [], request));
+
+    var permissions = {
+      unauthenticated: aclHelper.resolvePermission(ACL, acls, request,
+        ANONYMOUS_ROLES),
+      authenticated: aclHelper.resolvePermission(ACL, acls, request,
+        AUTHENTICATED_ROLES),
+    };
+    var scopes = aclHelper.getAccessScopes(sharedMethod);
+    if (scopes.indexOf(DEFAULT_SCOPES[0]) === -1) {
+      // Anonymous callers are never granted custom scopes
+      permissions.unauthenticated = ACL.DENY;
+    }
+    debug('access to %s.%s: %j', modelName, sharedMethod.name, permissions);
+
+    return {
+      accessType: request.accessType,
+      acls: acls,
+      permissions: permissions,
+      principals: aclHelper.resolvePrincipals(ACL, acls, request,
+        dynamicAccess.memberships),
+      scopes: scopes,
+      isPublic: permissions.unauthenticated === ACL.ALLOW,
+    };
+  },
+};
+
+function findAll(Model, where) {
+  if (!Model || !Model.dataSource) return Promise.resolve([]);
+  return Model.find({where: where});
+}
+
+// Users and applications named by ACLs, whose role mappings may grant
+// them access denied to authenticated callers
+function getMappedPrincipals(acls) {
+  var principals = [];
+  acls.forEach(function(acl) {
+    if (acl.principalType === 'ROLE') return;
+    var principal = {
+      principalType: acl.principalType,
+      principalId: String(acl.principalId),
+    };
+    var isKnown = principals.some(function(known) {
+      return known.principalType === principal.principalType &&
+        known.principalId === principal.principalId;
+    });
+    if (!isKnown) principals.push(principal);
+  });
+  return principals;
+}
@@ -0,0 +1,265 @@
+// Copyright IBM Corp. 2020. All Rights Reserved.
+// Node module: loopback-swagger
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+/**
+ * Module dependencies.
+ */
+var _ = require('lodash');
+var schemaBuilder = require('./schema-builder');
+
+// Schemas of literal property values in `where` conditions
+var VALUE_SCHEMAS = {
+  string: {type: 'string'},
+  number: {type: 'number'},
+  boolean: {type: 'boolean'},
+  date: {type: 'string', format: 'date-time'},
+};
+
+var PAGING_SCHEMA = {type: 'integer', minimum: 0};
+
+var DISTANCE_UNITS = [
+  'kilometers', 'meters', 'miles', 'feet', 'radians', 'degrees',
+];
+
+/**
+ * @param {String} modelName
+ * @returns {String} Name of the definition describing filters of the model.
+ */
+exports.getFilterTypeName = function(modelName) {
+  return modelName + '.Filter';
+};
+
+/**
+ * @param {String} modelName
+ * @returns {String} Name of the definition describing `where` conditions
+ *   on the properties of the model.
+ */
+exports.getWhereTypeName = function(modelName) {
+  return modelName + '.Where';
+};
+
+/**
+ * Build the schema of the `filter` accepted by the query methods of a model.
+ *
+ * @param {Function} modelCtor The model class.
+ * @param {TypeRegistry} typeRegistry Registry of types and models.
+ * @returns {Object} Schema Object.
+ */
+exports.buildFilterSchema = function(modelCtor, typeRegistry) {
+  var names = getPropertyNames(modelCtor);
+  var whereType = exports.getWhereTypeName(modelCtor.modelName);
+  var properties = {
+    where: {$ref: typeRegistry.reference(whereType)},
+    fields: names.length ? buildFieldsSchema(names, typeRegistry) : undefined,
+    include: buildIncludeSchema(modelCtor, typeRegistry),
+    order: names.length ? buildOrderSchema(names, typeRegistry) : undefined,
+    limit: _.clone(PAGING_SCHEMA),
+    skip: _.clone(PAGING_SCHEMA),
+    offset: _.clone(PAGING_SCHEMA),
+  };
+
+  return {
+    type: 'object',
+    properties: _.omitBy(properties, _.isUndefined),
+  };
+};
+
+/**
+ * Build the schema of `where` conditions on the properties of a model.
+ * A condition is either a literal of the property type or an object of
+ * operators appropriate to that type, e.g. `{between: [1, 10]}` for
+ * numbers. Swagger 2.0 cannot describe such alternatives, conditions are
+ * described by schemas without `type` instead.
+ *
+ * @param {Function} modelCtor The model class.
+ * @param {TypeRegistry} typeRegistry Registry of types and models.
+ * @returns {Object} Schema Object.
+ */
+exports.buildWhereSchema = function(modelCtor, typeRegistry) {
+  var whereType = exports.getWhereTypeName(modelCtor.modelName);
+  var conditions = {
+    type: 'array',
+    items: {$ref: typeRegistry.reference(whereType)},
+  };
+  var properties = {and: conditions, or: _.clone(conditions)};
+
+  var modelProperties = getProperties(modelCtor);
+  getPropertyNames(modelCtor).forEach(function(name) {
+    var valueType = getValueType(modelProperties[name]);
+    properties[name] = buildConditionSchema(valueType, typeRegistry);
+  });
+
+  return {
+    type: 'object',
+    properties: properties,
+  };
+};
+
+function buildConditionSchema(valueType, typeRegistry) {
+  var value = buildValueSchema(valueType, typeRegistry);
+  var operators = buildOperators(valueType, value);
+  if (!valueType || !typeRegistry.isOpenApi3()) {
+    return {properties: operators};
+  }
+  return {
+    anyOf: [value, {type: 'object', properties: operators}],
+  };
+}
+
+function buildOperators(valueType, value) {
+  if (valueType === 'geopoint') {
+    return {
+      near: value,
+      maxDistance: {type: 'number'},
+      minDistance: {type: 'number'},
+      unit: {type: 'string', enum: DISTANCE_UNITS},
+    };
+  }
+
+  var operators = {
+    neq: value,
+    inq: {type: 'array', items: value},
+    nin: {type: 'array', items: value},
+    exists: {type: 'boolean'},
+  };
+  if (valueType === 'number' || valueType === 'date') {
+    _.assign(operators, {
+      gt: value,
+      gte: value,
+      lt: value,
+      lte: value,
+      between: {type: 'array', items: value, minItems: 2, maxItems: 2},
+    });
+  } else if (valueType === 'string') {
+    _.assign(operators, {
+      like: {type: 'string'},
+      nlike: {type: 'string'},
+      ilike: {type: 'string'},
+      nilike: {type: 'string'},
+      regexp: {type: 'string'},
+    });
+  }
+  return operators;
+}
+
+function buildValueSchema(valueType, typeRegistry) {
+  if (valueType === 'geopoint') {
+    return {$ref: typeRegistry.reference('GeoPoint')};
+  }
+  return _.clone(VALUE_SCHEMAS[valueType]) || {};
+}
+
+/**
+ * Get the type of the values of a property which conditions can be
+ * built for, e.g. `string` or `geopoint`.
+ */
+function getValueType(property) {
+  // Raw properties may be given as their type only
+  var type = _.isPlainObject(property) ? property.type : property;
+  var typeName = schemaBuilder.getLdlTypeName(type);
+  if (typeof typeName !== 'string') return undefined;
+  typeName = typeName.toLowerCase();
+  return typeName === 'geopoint' || typeName in VALUE_SCHEMAS ?
+    typeName : undefined;
+}
+
+/**
+ * Describe a value given in any of several forms. Swagger 2.0 cannot
+ * describe alternative schemas, the forms are listed in the `x-oneOf`
+ * extension of a schema without `type` instead.
+ */
+function buildAlternatives(schemas, typeRegistry) {
+  var keyword = typeRegistry.isOpenApi3() ? 'oneOf' : 'x-oneOf';
+  var schema = {};
+  schema[keyword] = schemas;
+  return schema;
+}
+
+/**
+ * Describe the properties to return, given as a name, a list of names
+ * or an object of flags keyed by name, e.g. `{name: true}`.
+ */
+function buildFieldsSchema(names, typeRegistry) {
+  var field = {type: 'string', enum: names};
+  var flags = _.fromPairs(names.map(function(name) {
+    return [name, {type: 'boolean'}];
+  }));
+  return buildAlternatives([
+    field,
+    {type: 'array', items: _.cloneDeep(field)},
+    {type: 'object', properties: flags, additionalProperties: false},
+  ], typeRegistry);
+}
+
+/**
+ * Describe the sort order, given as a property name optionally followed
+ * by the direction, e.g. `name DESC`, or a list of those.
+ */
+function buildOrderSchema(names, typeRegistry) {
+  var order = {
+    type: 'string',
+    pattern: '^(' + names.map(_.escapeRegExp).join('|') + ')' +
+      '( (ASC|DESC|asc|desc))?$',
+  };
+  return buildAlternatives([
+    order,
+    {type: 'array', items: _.clone(order)},
+  ], typeRegistry);
+}
+
+/**
+ * Describe the relations which can be included, given as a relation name,
+ * an object of relations of the related models keyed by relation, e.g.
+ * `{owner: 'orders'}`, a relation with a scope, i.e. a filter of the
+ * related model, or a list of those.
+ */
+function buildIncludeSchema(modelCtor, typeRegistry) {
+  var relations = _.pickBy(modelCtor.relations, function(relation) {
+    return !!relation.modelTo;
+  });
+  var names = Object.keys(relations);
+  if (!names.length) return undefined;
+
+  var nested = _.fromPairs(names.map(function(name) {
+    return [name, {description: 'Relations of the related model to include'}];
+  }));
+  var forms = [
+    {type: 'string', enum: names},
+    {type: 'object', properties: nested, additionalProperties: false},
+  ];
+  names.forEach(function(name) {
+    var modelTo = relations[name].modelTo;
+    var filterType = exports.getFilterTypeName(modelTo.modelName);
+    forms.push({
+      type: 'object',
+      required: ['relation'],
+      properties: {
+        relation: {type: 'string', enum: [name]},
+        scope: typeRegistry.isDefined(filterType) ?
+          {$ref: typeRegistry.reference(filterType)} :
+          {type: 'object'},
+      },
+    });
+  });
+  return buildAlternatives(forms.concat({
+    type: 'array',
+    items: buildAlternatives(_.cloneDeep(forms), typeRegistry),
+  }), typeRegistry);
+}
+
+function getProperties(modelCtor) {
+  var definition = modelCtor.definition;
+  return definition.rawProperties || definition.properties;
+}
+
+function getPropertyNames(modelCtor) {
+  var definition = modelCtor.definition;
+  var hidden = definition.settings && definition.settings.hidden || [];
+  return Object.keys(getProperties(modelCtor)).filter(function(name) {
+    return hidden.indexOf(name) === -1;
+  });
+}
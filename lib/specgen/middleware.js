@@ -0,0 +1,146 @@
+// Copyright IBM Corp. 2020. All Rights Reserved.
+// Node module: loopback-swagger
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+/**
+ * Module dependencies.
+ */
+var crypto = require('crypto');
+var path = require('path');
+var _ = require('lodash');
+var debug = require('debug')('loopback:explorer:middleware');
+var serializer = require('./serializer');
+var SpecBuilder = require('./spec-builder');
+
+// Application events after which the cached spec is out of date
+var INVALIDATING_EVENTS = [
+  'modelRemoted',
+  'modelDeleted',
+  'remoteMethodAdded',
+  'remoteMethodDisabled',
+];
+
+// Paths serving the spec, relative to the mount point, unless configured
+// by the `specPaths` option
+var DEFAULT_SPEC_PATHS = [
+  '/',
+  '/swagger.json', '/swagger.yaml', '/swagger.yml',
+  '/openapi.json', '/openapi.yaml', '/openapi.yml',
+];
+
+var CONTENT_TYPES = {
+  json: 'application/json; charset=utf-8',
+  yaml: 'application/yaml; charset=utf-8',
+};
+
+/**
+ * Create a middleware serving the spec of a LoopBack application.
+ *
+ * The spec is served at the paths listed by the `specPaths` option,
+ * relative to the mount point of the middleware, other requests are
+ * passed to the next middleware. It is served as JSON or YAML, depending
+ * on the extension of the request path (`.json`, `.yaml`, `.yml`) or on
+ * the `Accept` header.
+ * It is generated on the first request and cached until models or remote
+ * methods are added to (or removed from) the application, only the affected
+ * parts of the spec are rebuilt then.
+ *
+ * @param {Application} loopbackApplication The application to document.
+ * @param {Object} opts Options passed to `generateSwaggerSpec`, and
+ *   `specPaths`, the paths serving the spec (`/`, `/swagger.json`,
+ *   `/openapi.yaml`, etc. by default).
+ * @returns {Function} The middleware, its `invalidate()` method discards
+ *   the cached spec, e.g. after changing ACLs.
+ */
+module.exports = function createSpecMiddleware(loopbackApplication, opts) {
+  opts = opts || {};
+  var specPaths = [].concat(opts.specPaths || DEFAULT_SPEC_PATHS);
+  var builder = new SpecBuilder(loopbackApplication,
+    _.omit(opts, 'specPaths'));
+  var cache = {};
+
+  function invalidate() {
+    debug('spec invalidated');
+    cache = {};
+  }
+
+  INVALIDATING_EVENTS.forEach(function(event) {
+    loopbackApplication.on(event, invalidate);
+  });
+
+  function getDocument(format) {
+    if (!cache[format]) {
+      if (!cache.spec) {
+        debug('generating spec');
+        cache.spec = builder.build();
+      }
+      var body = serializer.serialize(cache.spec, format);
+      cache[format] = {
+        body: body,
+        etag: '"' + crypto.createHash('sha1').update(body).digest('hex') + '"',
+      };
+    }
+    return cache[format];
+  }
+
+  function specMiddleware(req, res, next) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') return next();
+    if (specPaths.indexOf(getPathname(req)) === -1) return next();
+
+    var format = getFormat(req, res);
+    var document;
+    try {
+      document = getDocument(format);
+    } catch (err) {
+      return next(err);
+    }
+
+    res.setHeader('ETag', document.etag);
+    if (isFresh(req, document.etag)) {
+      res.statusCode = 304;
+      return res.end();
+    }
+
+    res.statusCode = 200;
+    res.setHeader('Content-Type', CONTENT_TYPES[format]);
+    res.setHeader('Content-Length', Buffer.byteLength(document.body));
+    res.end(req.method === 'HEAD' ? undefined : document.body);
+  }
+
+  specMiddleware.invalidate = function() {
+    builder.invalidate();
+    invalidate();
+  };
+  return specMiddleware;
+};
+
+function getPathname(req) {
+  return (req.path || req.url || '').split('?')[0] || '/';
+}
+
+function getFormat(req, res) {
+  var pathname = getPathname(req);
+  var ext = path.extname(pathname).toLowerCase();
+  if (ext === '.json') return 'json';
+  if (ext === '.yaml' || ext === '.yml') return 'yaml';
+
+  res.setHeader('Vary', 'Accept');
+  var accepted = typeof req.accepts === 'function' && req.accepts([
+    'application/json',
+    'application/yaml',
+    'application/x-yaml',
+    'text/yaml',
+  ]);
+  return accepted && /yaml$/.test(accepted) ? 'yaml' : 'json';
+}
+
+function isFresh(req, etag) {
+  var header = req.headers['if-none-match'];
+  if (!header) return false;
+  return header.split(/\s*,\s*/).some(function(tag) {
+    return tag === '*' || tag.replace(/^W\//, '') === etag;
+  });
+}
@@ -5,14 +5,22 @@
 
 'use strict';
 
+// Globalization
+var g = require('strong-globalize')();
+
 /**
  * Module dependencies.
  */
+var filterBuilder = require('./filter-builder');
 var schemaBuilder = require('./schema-builder');
 var typeConverter = require('./type-converter');
 var TypeRegistry = require('./type-registry');
 var _ = require('lodash');
 
+// Base classes provided by LoopBack, models extending them are not
+// described by `allOf`
+var BUILTIN_BASE_MODELS = ['Model', 'PersistedModel', 'KeyValueModel'];
+
 /**
  * Export the modelHelper singleton.
  */
@@ -33,14 +41,38 @@ var modelHelper = module.exports = {
     }
 
     var name = lbdef.name;
-    if (typeRegistry.isDefined(name)) {
+    if (typeRegistry.isDefined(name) && !typeRegistry.isErrorType(name)) {
       // The model is already included
       return;
     }
 
+    var base = getComposedBase(modelCtor, typeRegistry, opts);
+    var discriminator = modelHelper.getDiscriminator(modelCtor);
     typeRegistry.registerModel(name, function() {
-      return definitionFunction(modelCtor, typeRegistry);
+      var composed = base || discriminator ||
+        isComposedBase(modelCtor, typeRegistry, opts);
+      return definitionFunction(modelCtor, typeRegistry, composed ? {
+        inheritance: true,
+        base: base,
+        discriminator: discriminator,
+      } : undefined);
     });
+    if (base) {
+      modelHelper.registerModelDefinition(base, typeRegistry, opts);
+    }
+    if (discriminator) {
+      _.forEach(discriminator.mapping, function(subtype) {
+        modelHelper.registerModelDefinition(subtype, typeRegistry, opts);
+      });
+    }
+    typeRegistry.registerModel(filterBuilder.getFilterTypeName(name),
+      function() {
+        return filterBuilder.buildFilterSchema(modelCtor, typeRegistry);
+      });
+    typeRegistry.registerModel(filterBuilder.getWhereTypeName(name),
+      function() {
+        return filterBuilder.buildWhereSchema(modelCtor, typeRegistry);
+      });
 
     // check if ModelClass has defined getUpdateOnlyProperties() function to
     // avoid version issues
@@ -50,13 +82,45 @@ var modelHelper = module.exports = {
       // to be used only for create operation and this model will not have
       // excludeProp included in the model. e.g generated "id" property
       if (excludeProps && excludeProps.length > 0) {
-        const modelName = '$new_' + name;
+        const modelName = typeRegistry.getNewModelName(name);
         typeRegistry.registerModel(modelName, function() {
-          return definitionFunction(modelCtor, typeRegistry, {excludeProps});
+          return definitionFunction(modelCtor, typeRegistry, {
+            excludeProps: excludeProps,
+            input: true,
+          });
         });
       }
     }
 
+    const properties = lbdef.rawProperties || lbdef.properties;
+    if (opts && opts.generateOperationScopedModels) {
+      // Partial updates (PATCH) accept any subset of the writable properties,
+      // ids excepted as they identify the instances to update
+      const readOnlyProps = Object.keys(properties).filter(function(key) {
+        return !properties[key].id &&
+          modelHelper.getPropertyAccess(modelCtor, key) === 'readOnly';
+      });
+      typeRegistry.registerModel(typeRegistry.getPartialModelName(name),
+        function() {
+          return definitionFunction(modelCtor, typeRegistry, {
+            excludeProps: readOnlyProps,
+            partial: true,
+            input: true,
+          });
+        });
+    }
+
+    // Swagger 2.0 cannot mark write-only properties, they are described by
+    // a separate model of request data
+    const hasWriteOnlyProps = Object.keys(properties).some(function(key) {
+      return modelHelper.getPropertyAccess(modelCtor, key) === 'writeOnly';
+    });
+    if (hasWriteOnlyProps && !typeRegistry.isOpenApi3()) {
+      typeRegistry.registerModel('$input_' + name, function() {
+        return definitionFunction(modelCtor, typeRegistry, {input: true});
+      });
+    }
+
     if (opts && opts.generateRelationProperties) {
       const modelNameWithRelations = name + 'WithRelations';
       typeRegistry.registerModel(modelNameWithRelations, function() {
@@ -65,13 +129,377 @@ var modelHelper = module.exports = {
     }
   },
 
+  /**
+   * Find the model a model class extends, built-in base classes like
+   * `PersistedModel` excluded.
+   * @param {Class} modelCtor Model class.
+   * @return {Class|undefined} The base model class.
+   */
+  getBaseModel: function(modelCtor) {
+    var base = modelCtor.base;
+    if (!isModelClass(base)) {
+      base = findModel(modelCtor, modelCtor.settings && modelCtor.settings.base);
+    }
+    if (!base || BUILTIN_BASE_MODELS.indexOf(base.modelName) !== -1) {
+      return undefined;
+    }
+    return base;
+  },
+
+  /**
+   * Get the discriminator of a polymorphic model, declared by the
+   * `swagger.discriminator` setting as the name of the property holding
+   * the subtype, or as `{propertyName, mapping}` where `mapping` maps the
+   * values of that property to the names of the subtype models. Models
+   * extending the polymorphic model which are not mapped are identified
+   * by their name.
+   * @param {Class} modelCtor Model class.
+   * @return {Object|undefined} The discriminator `propertyName` and the
+   *   subtype model classes by value (`mapping`).
+   */
+  getDiscriminator: function(modelCtor) {
+    var discriminator = getDiscriminatorSetting(modelCtor);
+    var base = modelHelper.getBaseModel(modelCtor);
+    // Subtypes inherit the settings of the polymorphic model
+    if (!discriminator ||
+        base && _.isEqual(discriminator, getDiscriminatorSetting(base))) {
+      return undefined;
+    }
+    if (typeof discriminator === 'string') {
+      discriminator = {propertyName: discriminator};
+    }
+
+    var mapping = {};
+    _.forEach(discriminator.mapping, function(subtype, value) {
+      var model = findModel(modelCtor, subtype);
+      if (model) {
+        mapping[value] = model;
+      } else {
+        g.warn('{{Swagger}}: skipping unknown subtype %j of model %s.',
+          subtype, modelCtor.modelName);
+      }
+    });
+    var models = modelCtor.modelBuilder && modelCtor.modelBuilder.models;
+    _.forEach(models, function(model) {
+      if (modelHelper.getBaseModel(model) === modelCtor &&
+          !_.includes(mapping, model)) {
+        mapping[model.modelName] = model;
+      }
+    });
+    return {propertyName: discriminator.propertyName, mapping: mapping};
+  },
+
   isHiddenProperty: function(definition, propName) {
-    return definition.settings &&
-      Array.isArray(definition.settings.hidden) &&
-      definition.settings.hidden.indexOf(propName) !== -1;
+    return !!definition.settings &&
+      isListed(definition.settings.hidden, propName);
+  },
+
+  /**
+   * Classify a model property by the way clients can access it:
+   *  - `readOnly`: generated ids, timestamps (`defaultFn: 'now'` or the
+   *    `TimeStamp` mixin), `protected` properties and properties flagged
+   *    `readOnly`
+   *  - `writeOnly`: `hidden` properties, they are still accepted on input
+   *  - `none`: hidden properties which are read-only too
+   *  - `readWrite`: all other properties
+   * @param {Class} modelCtor Model class.
+   * @param {String} propName Property name.
+   * @return {String} The access of the property.
+   */
+  getPropertyAccess: function(modelCtor, propName) {
+    var lbdef = modelCtor.definition;
+    var settings = lbdef.settings || {};
+    var prop = (lbdef.rawProperties || lbdef.properties)[propName] || {};
+    var readOnly = !!prop.readOnly ||
+      !!(prop.id && prop.generated && settings.forceId !== false) ||
+      prop.defaultFn === 'now' ||
+      isListed(settings.protected, propName) ||
+      getTimeStampProperties(settings).indexOf(propName) !== -1;
+    if (modelHelper.isHiddenProperty(lbdef, propName)) {
+      return readOnly ? 'none' : 'writeOnly';
+    }
+    return readOnly ? 'readOnly' : 'readWrite';
   },
 };
 
+/**
+ * Check whether a property is listed by a setting like `hidden`, given as
+ * an array of names or as an object keyed by names.
+ */
+function isListed(list, propName) {
+  if (Array.isArray(list)) return list.indexOf(propName) !== -1;
+  return !!list && typeof list === 'object' && !!list[propName];
+}
+
+/**
+ * Get the names of the properties maintained by the `TimeStamp` mixin.
+ */
+function getTimeStampProperties(settings) {
+  var mixin = settings.mixins && settings.mixins.TimeStamp;
+  if (!mixin) return [];
+  return [mixin.createdAt || 'createdAt', mixin.updatedAt || 'updatedAt'];
+}
+
+function isModelClass(fn) {
+  return typeof fn === 'function' && !!fn.modelName && !!fn.definition;
+}
+
+function getDiscriminatorSetting(modelCtor) {
+  var settings = modelCtor.definition && modelCtor.definition.settings;
+  return settings && settings.swagger && settings.swagger.discriminator;
+}
+
+/**
+ * Get the discriminator property of a polymorphic model or of the
+ * polymorphic model it extends.
+ */
+function getDiscriminatorProperty(modelCtor) {
+  var discriminator = modelHelper.getDiscriminator(modelCtor);
+  var base = !discriminator && modelHelper.getBaseModel(modelCtor);
+  if (base) discriminator = modelHelper.getDiscriminator(base);
+  return discriminator && discriminator.propertyName;
+}
+
+/**
+ * Resolve a model given by its class or by its name.
+ */
+function findModel(modelCtor, model) {
+  if (typeof model === 'string' && modelCtor.modelBuilder) {
+    model = modelCtor.modelBuilder.models[model];
+  }
+  return isModelClass(model) ? model : undefined;
+}
+
+/**
+ * Find the base model a model is composed with by `allOf`. Swagger 2.0
+ * subtypes of polymorphic models must be composed with them, while OpenAPI
+ * 3.x polymorphic models are `oneOf` their subtypes, which cannot reference
+ * them back.
+ */
+function getComposedBase(modelCtor, typeRegistry, opts) {
+  var base = modelHelper.getBaseModel(modelCtor);
+  if (!base) return undefined;
+  var polymorphic = !!modelHelper.getDiscriminator(base);
+  if (polymorphic) {
+    return typeRegistry.isOpenApi3() ? undefined : base;
+  }
+  return opts && opts.generateModelInheritance ? base : undefined;
+}
+
+/**
+ * Check whether a described model is composed with the given model by
+ * `allOf`, i.e. whether the model is the base of a described model.
+ */
+function isComposedBase(modelCtor, typeRegistry, opts) {
+  var models = modelCtor.modelBuilder && modelCtor.modelBuilder.models;
+  return _.some(models, function(model) {
+    return model !== modelCtor && typeRegistry.isDefined(model.modelName) &&
+      getComposedBase(model, typeRegistry, opts) === modelCtor;
+  });
+}
+
+/**
+ * Describe a model as the composition of its base model and of the
+ * properties it adds or redefines, i.e. `allOf: [{$ref: Base}, {...}]`.
+ * Properties are compared to the flattened schema of the base model.
+ */
+function composeWithBase(swaggerDef, modelCtor, baseModel, typeRegistry) {
+  var baseDef = definitionFunction(baseModel, typeRegistry);
+  var own = {
+    properties: _.omitBy(swaggerDef.properties, function(schema, key) {
+      return _.isEqual(schema, baseDef.properties[key]);
+    }),
+    required: _.difference(swaggerDef.required, baseDef.required),
+  };
+  if (!own.required.length) delete own.required;
+
+  var validations = _.omitBy(swaggerDef['x-loopback-validations'],
+    function(confs, key) {
+      return _.isEqual(confs, (baseDef['x-loopback-validations'] || {})[key]);
+    });
+  if (_.isEmpty(validations)) {
+    delete swaggerDef['x-loopback-validations'];
+  } else {
+    swaggerDef['x-loopback-validations'] = validations;
+  }
+
+  delete swaggerDef.properties;
+  delete swaggerDef.required;
+  swaggerDef.allOf = [{$ref: typeRegistry.reference(baseModel.modelName)}];
+  if (!_.isEmpty(own.properties) || own.required) {
+    swaggerDef.allOf.push(own);
+  }
+
+  // Swagger 2.0 discriminators hold the name of the subtype definition
+  var discriminator = modelHelper.getDiscriminator(baseModel);
+  var value = discriminator && _.findKey(discriminator.mapping,
+    function(subtype) { return subtype === modelCtor; });
+  if (value && value !== modelCtor.modelName) {
+    swaggerDef['x-discriminator-value'] = value;
+  }
+}
+
+/**
+ * Describe the subtypes of a polymorphic model, i.e. the value of the
+ * discriminator property. Swagger 2.0 subtypes reference the model by
+ * `allOf`, OpenAPI 3.x models are `oneOf` their subtypes instead.
+ */
+function addDiscriminator(swaggerDef, discriminator, typeRegistry) {
+  var propertyName = discriminator.propertyName;
+  var refs = _.mapValues(discriminator.mapping, function(subtype) {
+    return typeRegistry.reference(subtype.modelName);
+  });
+
+  if (!typeRegistry.isOpenApi3()) {
+    swaggerDef.discriminator = propertyName;
+    return;
+  }
+
+  swaggerDef.discriminator = {propertyName: propertyName};
+  if (_.isEmpty(refs)) return;
+  swaggerDef.discriminator.mapping = refs;
+  swaggerDef.oneOf = _.uniq(_.values(refs)).map(function(ref) {
+    return {$ref: ref};
+  });
+  delete swaggerDef.properties;
+  delete swaggerDef.required;
+  delete swaggerDef.additionalProperties;
+}
+
+/**
+ * Describe the property persisting an embedded relation, i.e. the embedded
+ * model instances of `embedsOne` and `embedsMany` relations or the ids of
+ * the models of `referencesMany` relations. The property is named by the
+ * `property` option of the relation.
+ */
+function addRelationProperty(swaggerDef, modelCtor, rel, typeRegistry) {
+  var key = rel.keyFrom;
+  var modelTo = rel.modelTo;
+  if (!key || !modelTo || !modelTo.definition ||
+      modelHelper.isHiddenProperty(modelCtor.definition, key)) {
+    return;
+  }
+
+  var schema = swaggerDef.properties[key];
+  switch (rel.type) {
+    case 'embedsOne':
+      if (!schema) {
+        schema = schemaBuilder.buildFromLoopBackType(modelTo.modelName,
+          typeRegistry);
+      }
+      break;
+    case 'embedsMany':
+      if (!schema) {
+        schema = schemaBuilder.buildFromLoopBackType([modelTo.modelName],
+          typeRegistry);
+      }
+      break;
+    case 'referencesMany':
+      var toDef = modelTo.definition;
+      var idProp = (toDef.rawProperties || toDef.properties)[rel.keyTo];
+      var idType = idProp && (idProp.forceType || idProp.type) || 'any';
+      var idsSchema = schemaBuilder.buildFromLoopBackType([idType],
+        typeRegistry);
+      schema = _.assign({}, schema, idsSchema);
+      break;
+    default:
+      return;
+  }
+  swaggerDef.properties[key] = schema;
+}
+
+/**
+ * Translate the validations of a model (`Model.validatesLengthOf()`, etc.)
+ * into constraints of the properties they apply to. Validations which
+ * cannot be expressed by a schema, e.g. uniqueness or conditional
+ * validations, are listed in the `x-loopback-validations` extension.
+ */
+function addValidations(swaggerDef, validations, typeRegistry) {
+  var unexpressed = {};
+  _.forEach(validations, function(confs, key) {
+    if (!(key in swaggerDef.properties)) return;
+    confs.forEach(function(conf) {
+      if (applyValidation(swaggerDef, key, conf, typeRegistry)) return;
+      unexpressed[key] = unexpressed[key] || [];
+      unexpressed[key].push(describeValidation(conf));
+    });
+  });
+  if (!_.isEmpty(unexpressed)) {
+    swaggerDef['x-loopback-validations'] = unexpressed;
+  }
+}
+
+function applyValidation(swaggerDef, key, conf, typeRegistry) {
+  var schema = swaggerDef.properties[key];
+  if (conf.if || conf.unless) return false;
+
+  switch (conf.validation) {
+    case 'presence':
+      if (swaggerDef.required.indexOf(key) === -1) {
+        swaggerDef.required.push(key);
+      }
+      return true;
+    case 'length':
+      var isArray = hasType(schema, 'array');
+      if (!isArray && !hasType(schema, 'string')) return false;
+      var min = conf.is || conf.min;
+      var max = conf.is || conf.max;
+      if (min) schema[isArray ? 'minItems' : 'minLength'] = min;
+      if (max) schema[isArray ? 'maxItems' : 'maxLength'] = max;
+      return true;
+    case 'format':
+      var pattern = conf.with;
+      if (pattern instanceof RegExp) {
+        // Flags like `i` cannot be expressed by a pattern
+        if (pattern.flags) return false;
+        pattern = pattern.source;
+      }
+      if (typeof pattern !== 'string' || !hasType(schema, 'string')) {
+        return false;
+      }
+      schema.pattern = pattern;
+      return true;
+    case 'inclusion':
+      if (!Array.isArray(conf.in) || !schema.type) return false;
+      schema.enum = conf.in.concat(hasType(schema, 'null') ? [null] : []);
+      return true;
+    case 'exclusion':
+      if (!Array.isArray(conf.in)) return false;
+      if (typeRegistry.isOpenApi3()) {
+        schema.not = {enum: conf.in.slice()};
+      } else {
+        // Swagger 2.0 schemas do not support `not`
+        schema['x-not'] = {enum: conf.in.slice()};
+      }
+      return true;
+    case 'numericality':
+      if (!hasType(schema, 'number') && !hasType(schema, 'integer')) {
+        return false;
+      }
+      if (conf.int) {
+        schema.type = Array.isArray(schema.type) ?
+          schema.type.map(function(type) {
+            return type === 'number' ? 'integer' : type;
+          }) :
+          'integer';
+        delete schema.format;
+      }
+      return true;
+  }
+  return false;
+}
+
+function hasType(schema, type) {
+  return [].concat(schema.type).indexOf(type) !== -1;
+}
+
+function describeValidation(conf) {
+  return _.mapValues(_.omitBy(_.omit(conf, ['options']), _.isFunction),
+    function(value) {
+      return value instanceof RegExp ? String(value) : value;
+    });
+}
+
 var definitionFunction = function(modelCtor, typeRegistry, options) {
   var lbdef = modelCtor.definition;
   var swaggerDef = {
@@ -83,11 +511,19 @@ var definitionFunction = function(modelCtor, typeRegistry, options) {
   };
 
   if (lbdef.settings && lbdef.settings.swagger && lbdef.settings.swagger.example) {
-    swaggerDef.example = lbdef.settings.swagger.example;
+    if (typeRegistry.isOpenApi31()) {
+      swaggerDef.examples = [lbdef.settings.swagger.example];
+    } else {
+      swaggerDef.example = lbdef.settings.swagger.example;
+    }
   }
 
   addSwaggerExtensions(lbdef.settings);
 
+  // Models of request data describe write-only properties in Swagger 2.0
+  var input = options && options.input;
+  var openapi3 = typeRegistry.isOpenApi3();
+
   var properties = lbdef.rawProperties || lbdef.properties;
   // Iterate through each property in the model definition.
   // Types may be defined as constructors (e.g. String, Date, etc.),
@@ -96,9 +532,15 @@ var definitionFunction = function(modelCtor, typeRegistry, options) {
   Object.keys(properties).forEach(function(key) {
     var prop = properties[key];
 
-    // Hide hidden properties.
-    if (modelHelper.isHiddenProperty(lbdef, key))
+    // Hide hidden properties, unless they can be written.
+    var access = modelHelper.getPropertyAccess(modelCtor, key);
+    if (access === 'none' || access === 'writeOnly' && !input && !openapi3)
       return;
+    // Ids of partial updates are writable, `patchOrCreate` finds the
+    // instance to update by the id given in the data
+    if (access === 'readOnly' && prop.id && options && options.partial) {
+      access = 'readWrite';
+    }
     // check if foreign key if ends in Id
     if (/Id$/.test(key)) {
       var baseName = key.slice(0, -2);
@@ -116,9 +558,19 @@ var definitionFunction = function(modelCtor, typeRegistry, options) {
       }
     }
     // Get a type out of the constructors we were passed.
-    var schema = schemaBuilder.buildFromLoopBackType(prop, typeRegistry);
+    var schema = schemaBuilder.buildFromLoopBackType(prop, typeRegistry, {
+      anonymousTypeName: lbdef.name + '_' + key,
+    });
     var desc = typeConverter.convertText(prop.description || prop.doc);
     if (desc) schema.description = desc;
+    if (access === 'readOnly' || access === 'writeOnly' && openapi3) {
+      if (schema.$ref && !typeRegistry.isOpenApi31()) {
+        // Sibling keywords of $ref are ignored before OpenAPI 3.1
+        schema.allOf = [{$ref: schema.$ref}];
+        delete schema.$ref;
+      }
+      schema[access] = true;
+    }
 
     // Required props sit in a per-model array.
     if (prop.required || (prop.id && !prop.generated)) {
@@ -134,7 +586,19 @@ var definitionFunction = function(modelCtor, typeRegistry, options) {
     swaggerDef.properties[key] = schema;
   });
 
-  if (lbdef.settings) {
+  _.forEach(modelCtor.relations, function(rel) {
+    if (options && options.excludeProps &&
+        _.includes(options.excludeProps, rel.keyFrom)) {
+      return;
+    }
+    addRelationProperty(swaggerDef, modelCtor, rel, typeRegistry);
+  });
+
+  addValidations(swaggerDef, modelCtor.validations, typeRegistry);
+
+  // `additionalProperties: false` would reject the properties described by
+  // the other schemas of `allOf`
+  if (lbdef.settings && !(options && options.inheritance)) {
     var strict = lbdef.settings.strict;
     var additionalProperties = lbdef.settings.additionalProperties;
     var notAllowAdditionalProperties = strict || (additionalProperties !== true);
@@ -143,11 +607,31 @@ var definitionFunction = function(modelCtor, typeRegistry, options) {
     }
   }
 
-  if (!swaggerDef.required.length) {
+  if (!openapi3) {
+    // Swagger 2.0 read-only properties must not be required
+    swaggerDef.required = swaggerDef.required.filter(function(key) {
+      return !(swaggerDef.properties[key] && swaggerDef.properties[key].readOnly);
+    });
+  }
+
+  // Subtypes of polymorphic models are identified by the discriminator
+  var discriminatorProperty = getDiscriminatorProperty(modelCtor);
+  if (discriminatorProperty && !(options && options.excludeProps)) {
+    swaggerDef.required = _.union(swaggerDef.required, [discriminatorProperty]);
+  }
+
+  if (!swaggerDef.required.length || options && options.partial) {
     // "required" must have at least one item when present
     delete swaggerDef.required;
   }
 
+  if (options && options.discriminator) {
+    addDiscriminator(swaggerDef, options.discriminator, typeRegistry);
+  }
+  if (swaggerDef.properties && options && options.base) {
+    composeWithBase(swaggerDef, modelCtor, options.base, typeRegistry);
+  }
+
   // Add models from settings
   if (lbdef.settings && lbdef.settings.models) {
     for (var m in lbdef.settings.models) {
@@ -0,0 +1,154 @@
+// Copyright IBM Corp. 2020. All Rights Reserved.
+// Node module: loopback-swagger
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+/**
+ * Module dependencies.
+ */
+var _ = require('lodash');
+
+var FORM_URLENCODED = 'application/x-www-form-urlencoded';
+var MULTIPART_FORM_DATA = 'multipart/form-data';
+
+/**
+ * Export the openapiHelper singleton.
+ *
+ * The helper contains the bits of OpenAPI 3.x output that have no
+ * counterpart in Swagger 2.0 (request bodies, media-type content maps,
+ * servers). Route and model metadata are otherwise processed by the same
+ * code paths for both output formats.
+ */
+var openapiHelper = module.exports = {
+  /**
+   * Check whether the generator options ask for OpenAPI 3.x output.
+   * @param {Object} opts Generator options.
+   * @returns {Boolean}
+   */
+  isOpenApi3: function(opts) {
+    return !!(opts && typeof opts.openapi === 'string' &&
+      /^3\./.test(opts.openapi));
+  },
+
+  /**
+   * Build the Server Objects describing where the API is served from.
+   * See OpenAPI-Specification/3.0.3.md#serverObject
+   *
+   * @param {String} host Host (and port) serving the API, may be undefined.
+   * @param {String} basePath Path prefix of all API endpoints.
+   * @param {Array} schemes Transfer protocols, e.g. `['https']`.
+   * @returns {Array} Array of Server Objects.
+   */
+  buildServers: function(host, basePath, schemes) {
+    basePath = basePath || '/';
+    if (!host) {
+      // A relative URL is resolved against the location of the spec
+      return [{url: basePath}];
+    }
+    if (!schemes || !schemes.length) {
+      return [{url: '//' + host + basePath}];
+    }
+    return schemes.map(function(scheme) {
+      return {url: scheme + '://' + host + basePath};
+    });
+  },
+
+  /**
+   * Build a Request Body Object from `body` and `formData` parameters
+   * produced by `routeHelper.acceptToParameter`.
+   *
+   * @param {Array} parameters Parameters with `in` set to body/formData.
+   * @param {Array} consumes Media types accepted for JSON-like bodies.
+   * @returns {Object} Request Body Object or undefined.
+   */
+  buildRequestBody: function(parameters, consumes) {
+    var bodyParam = _.find(parameters, {in: 'body'});
+    if (bodyParam) {
+      return _.omitBy({
+        description: bodyParam.description,
+        required: bodyParam.required || undefined,
+        content: buildContent(consumes, bodyParam.schema),
+      }, _.isUndefined);
+    }
+
+    var formParams = parameters.filter(function(param) {
+      return param.in === 'formData';
+    });
+    if (!formParams.length) return undefined;
+
+    var schema = {type: 'object', properties: {}};
+    var hasFile = false;
+    formParams.forEach(function(param) {
+      var propSchema = _.clone(param.schema);
+      if (param.description && !propSchema.description) {
+        propSchema.description = param.description;
+      }
+      schema.properties[param.name] = propSchema;
+      if (param.required) {
+        schema.required = (schema.required || []).concat(param.name);
+      }
+      if (propSchema.format === 'binary' || propSchema.contentMediaType) {
+        hasFile = true;
+      }
+    });
+
+    var mediaType = hasFile ? MULTIPART_FORM_DATA : FORM_URLENCODED;
+    var requestBody = {content: buildContent([mediaType], schema)};
+    if (schema.required) {
+      requestBody.required = true;
+    }
+    return requestBody;
+  },
+
+  /**
+   * Convert Swagger-2.0-style Response Objects (with `schema`, `examples`
+   * and `headers` fields) to OpenAPI 3.x Response Objects with per-media-type
+   * content.
+   *
+   * @param {Object} responses Response Objects keyed by status code.
+   * @param {Array} produces Media types the operation can produce.
+   * @returns {Object} OpenAPI 3.x Responses Object.
+   */
+  buildResponses: function(responses, produces) {
+    return _.mapValues(responses, function(response) {
+      var result = {description: response.description};
+      if (response.headers) {
+        result.headers = openapiHelper.buildHeaders(response.headers);
+      }
+      if (response.schema) {
+        result.content = buildContent(produces, response.schema);
+      }
+      _.forEach(response.examples, function(example, mediaType) {
+        result.content = result.content || {};
+        result.content[mediaType] = result.content[mediaType] || {};
+        result.content[mediaType].example = example;
+      });
+      return result;
+    });
+  },
+
+  /**
+   * Convert Swagger-2.0-style Header Objects to OpenAPI 3.x Header Objects.
+   * @param {Object} headers Header Objects keyed by header name.
+   * @returns {Object}
+   */
+  buildHeaders: function(headers) {
+    return _.mapValues(headers, function(header) {
+      var result = {schema: _.omit(header, ['description'])};
+      if (header.description) {
+        result.description = header.description;
+      }
+      return result;
+    });
+  },
+};
+
+function buildContent(mediaTypes, schema) {
+  var content = {};
+  (mediaTypes || ['application/json']).forEach(function(mediaType) {
+    content[mediaType] = {schema: schema};
+  });
+  return content;
+}
@@ -0,0 +1,122 @@
+// Copyright IBM Corp. 2020. All Rights Reserved.
+// Node module: loopback-swagger
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+/**
+ * Module dependencies.
+ */
+var _ = require('lodash');
+var debug = require('debug')('loopback:explorer:operationFilter');
+var tagBuilder = require('./tag-builder');
+
+/**
+ * Select the operations documented by the spec, e.g. to publish one spec
+ * for partners and another one for internal tools.
+ *
+ * The filter has `include` and `exclude` criteria. An operation matches
+ * criteria when it matches each of them:
+ *
+ *  - `tags` Names of the tag of the operation.
+ *  - `models` Globs matching the model name, e.g. `Farm*`.
+ *  - `audience` Audiences declared in the `swagger.audience` setting of
+ *    the remote method or of its model, operations without audience
+ *    don't match.
+ *  - `public` Whether anonymous callers are allowed according to ACLs.
+ *
+ * Operations are kept when they match `include`, if provided, and don't
+ * match `exclude`. Types referenced only by removed operations are not
+ * referenced by the spec and are left out of its definitions.
+ *
+ * @param {Array} operations Operations built by `collectOperations`.
+ * @param {Object} [filter] The `include` and `exclude` criteria.
+ * @returns {Array} The operations to document.
+ */
+exports.filterOperations = function(operations, filter) {
+  if (!filter) return operations;
+  return operations.filter(function(operation) {
+    var included = !filter.include ||
+      exports.matchesCriteria(operation, filter.include);
+    var excluded = !!filter.exclude &&
+      exports.matchesCriteria(operation, filter.exclude);
+    if (!included || excluded) {
+      debug('filtered out %s', operation.route.method);
+    }
+    return included && !excluded;
+  });
+};
+
+/**
+ * @param {Object} operation Operation built by `collectOperations`.
+ * @param {Object} criteria Filter criteria, see `filterOperations`.
+ * @returns {Boolean} True when the operation matches all criteria.
+ */
+exports.matchesCriteria = function(operation, criteria) {
+  var classDef = operation.classDef;
+  if (criteria.tags &&
+      !_.includes(_.castArray(criteria.tags), tagBuilder.getTagName(classDef))) {
+    return false;
+  }
+  if (criteria.models && !_.castArray(criteria.models).some(function(glob) {
+    return globToRegExp(glob).test(classDef.name);
+  })) {
+    return false;
+  }
+  if (criteria.audience &&
+      !_.intersection(_.castArray(criteria.audience),
+        exports.getAudience(operation)).length) {
+    return false;
+  }
+  if (criteria.public !== undefined &&
+      !!criteria.public !== isPublic(operation)) {
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Get the audiences of an operation from the `swagger.audience` setting
+ * of its remote method, or else of its model.
+ *
+ * @param {Object} operation Operation built by `collectOperations`.
+ * @returns {Array} Audience names.
+ */
+exports.getAudience = function(operation) {
+  var sharedMethod = operation.sharedMethod;
+  var ctor = operation.classDef.ctor;
+  var audience = _.get(sharedMethod, 'swagger.audience') ||
+    _.get(ctor, 'settings.swagger.audience');
+  return audience ? _.castArray(audience) : [];
+};
+
+/**
+ * Remove the tags built for classes which no operation of the spec uses.
+ * Tags declared by the application are kept.
+ *
+ * @param {Object} swaggerObject The Swagger Object.
+ */
+exports.pruneTags = function(swaggerObject) {
+  var used = _.flatMap(_.values(swaggerObject.paths), function(pathItem) {
+    return _.flatMap(_.values(pathItem), function(operation) {
+      return operation && operation.tags || [];
+    });
+  });
+  swaggerObject.tags = swaggerObject.tags.filter(function(tag) {
+    return !tag.generated || _.includes(used, tag.name);
+  });
+};
+
+// Methods of models without ACLs, or of apps without the ACL model,
+// are allowed to anyone
+function isPublic(operation) {
+  return !operation.access || operation.access.isPublic;
+}
+
+function globToRegExp(glob) {
+  var pattern = _.escapeRegExp(glob)
+    .replace(/\\\*/g, '.*')
+    .replace(/\\\?/g, '.');
+  return new RegExp('^' + pattern + '$');
+}
@@ -14,10 +14,51 @@ var g = require('strong-globalize')();
 
 var debug = require('debug')('loopback:explorer:routeHelpers');
 var _assign = require('lodash').assign;
+var _omit = require('lodash').omit;
+var _cloneDeep = require('lodash').cloneDeep;
+var _flatMap = require('lodash').flatMap;
+var _find = require('lodash').find;
+var _pick = require('lodash').pick;
+var _forEach = require('lodash').forEach;
+var _mapValues = require('lodash').mapValues;
 var typeConverter = require('./type-converter');
 var schemaBuilder = require('./schema-builder');
+var openapiHelper = require('./openapi-helper');
+var aclHelper = require('./acl-helper');
+var filterBuilder = require('./filter-builder');
+var tagBuilder = require('./tag-builder');
 
 var idSuffix = / id$/;
+
+// Arguments of query methods described by a schema of the queried model:
+// methods of the model and method prefix of relations accepting them
+var QUERY_ARGUMENTS = {
+  filter: {
+    methods: ['find', 'findOne', 'findById'],
+    relationPrefix: '__get__',
+    getTypeName: filterBuilder.getFilterTypeName,
+  },
+  where: {
+    methods: ['count', 'updateAll', 'destroyAll', 'upsertWithWhere'],
+    relationPrefix: '__count__',
+    getTypeName: filterBuilder.getWhereTypeName,
+  },
+};
+
+// Methods validating model data, they can fail with 422 Unprocessable Entity
+var VALIDATED_METHODS = [
+  'create',
+  'patchOrCreate',
+  'replaceOrCreate',
+  'upsertWithWhere',
+  'replaceById',
+  'patchAttributes',
+];
+
+// Methods updating some properties of model instances (PATCH semantics),
+// relation methods are matched by prefix
+var PARTIAL_UPDATE_METHODS = ['patchOrCreate', 'patchAttributes', 'updateAll'];
+
 /**
  * Export the routeHelper singleton.
  */
@@ -40,12 +81,15 @@ var routeHelper = module.exports = {
    *  operationId to an operation object.
    * @param  {Object} paths   Swagger Path Object,
    *   see https://github.com/swagger-api/swagger-spec/blob/master/versions/2.0.md#pathsObject
+   * @param  {Object} access  Access descriptor built by
+   *   `aclHelper.resolveAccess`, operations are public when not provided.
+   * @param  {Object} opts    Generator options.
    */
   addRouteToSwaggerPaths: function(route, classDef, typeRegistry,
-    operationIdRegistry, paths, acls, opts) {
+    operationIdRegistry, paths, access, opts) {
     var entryToAdd = routeHelper.routeToPathEntry(route, classDef,
       typeRegistry,
-      operationIdRegistry, acls, opts);
+      operationIdRegistry, access, opts);
     if (!(entryToAdd.path in paths)) {
       paths[entryToAdd.path] = {};
     }
@@ -101,19 +145,21 @@ var routeHelper = module.exports = {
    * @return {Object}          A single returns param doc.
    */
   convertReturnsToSwagger: function(route, typeRegistry, opts) {
+    var routeReturns = route.returns;
     if (opts && opts.generateRelationProperties) {
       if (route.method.match(/\.(find|findOne|findById|__(get|findById)__*)/)) {
-        var returns = route.returns;
-        var type = returns[0].type;
+        var type = routeReturns[0].type;
         var passthrough = schemaBuilder.isPrimitiveType(String(type)) ||
           String(type) === 'any';
         var newType = passthrough ? type : type + 'WithRelations';
-        returns[0].type = Array.isArray(type) ? [newType] : newType;
-        route.returns = returns;
+        // Shared methods are documented again on every generation,
+        // their metadata must not be modified
+        routeReturns = [_assign({}, routeReturns[0], {
+          type: Array.isArray(type) ? [newType] : newType,
+        })].concat(routeReturns.slice(1));
       }
     }
 
-    var routeReturns = route.returns;
     if (!routeReturns || !routeReturns.length) {
       // An operation that returns nothing will have
       // no schema declaration for its response.
@@ -132,7 +178,7 @@ var routeHelper = module.exports = {
       }
       return schemaBuilder.buildFromLoopBackType(routeReturns[0], typeRegistry);
     } else if (routeReturns.length === 1 && routeReturns[0].type === 'ReadableStream') {
-      return {type: 'file'};
+      return schemaBuilder.buildFromLoopBackType('file', typeRegistry);
     }
 
     // Construct scheme for the return object
@@ -176,13 +222,43 @@ var routeHelper = module.exports = {
     return schema;
   },
 
+  /**
+   * Describe the response headers set by returns targeting `header`.
+   * @param  {Object} route    Strong Remoting Route object.
+   * @return {Object}          Header Objects keyed by header name,
+   *   undefined when the route sets no header.
+   */
+  convertReturnsToHeaders: function(route, typeRegistry, opts) {
+    var headers;
+    (route.returns || []).forEach(function(ret) {
+      if (!ret.http || ret.http.target !== 'header') return;
+      var name = ret.http.header || ret.name || ret.arg;
+      headers = headers || {};
+      headers[name] = buildHeader(ret, typeRegistry, opts);
+    });
+    return headers;
+  },
+
+  /**
+   * Get the status codes documented by the `enum` of a return targeting
+   * `status`.
+   * @param  {Object} route    Strong Remoting Route object.
+   * @return {Number[]}
+   */
+  getReturnedStatusCodes: function(route) {
+    var statusArg = _find(route.returns, function(ret) {
+      return ret.http && ret.http.target === 'status';
+    });
+    return statusArg && Array.isArray(statusArg.enum) ? statusArg.enum : [];
+  },
+
   /**
    * Converts from an sl-remoting-formatted "Route" description to a
    * Swagger-formatted "Path Item Object"
    * See swagger-spec/2.0.md#pathItemObject
    */
   routeToPathEntry: function(route, classDef,
-    typeRegistry, operationIdRegistry, acls, opts) {
+    typeRegistry, operationIdRegistry, access, opts) {
     // Some parameters need to be altered; eventually most of this should
     // be removed.
     var accepts = routeHelper.convertAcceptsToSwagger(route, classDef,
@@ -194,21 +270,36 @@ var routeHelper = module.exports = {
       statusCode = route.http.status;
     }
 
+    var headers = routeHelper.convertReturnsToHeaders(route, typeRegistry,
+      opts);
     var responseMessages = {};
     responseMessages[statusCode] = {
       description: 'Request was successful',
       schema: returns,
-      // TODO - headers, examples
     };
+    if (headers) responseMessages[statusCode].headers = headers;
 
     if (route.returns && route.returns[0] && route.returns[0].example) {
       responseMessages[statusCode].examples = responseMessages[statusCode].examples || {};
       responseMessages[statusCode].examples['application/json'] = route.returns[0].example;
     }
 
+    routeHelper.getReturnedStatusCodes(route).forEach(function(code) {
+      if (responseMessages[code]) return;
+      if (code >= 400) {
+        responseMessages[code] = {description: 'Unknown error'};
+      } else {
+        responseMessages[code] = {
+          description: 'Request was successful',
+          // These responses have no body
+          schema: code === 204 || code === 304 ? undefined : returns,
+        };
+        if (headers) responseMessages[code].headers = headers;
+      }
+    });
+
     if (route.errors) {
-      // TODO define new LDL syntax that is status-code-indexed
-      // and which allow users to specify headers & examples
+      // Deprecated in favour of the status-code-indexed `responses`
       route.errors.forEach(function(msg) {
         var schema = null;
         if (msg.responseModel) {
@@ -222,18 +313,25 @@ var routeHelper = module.exports = {
         };
       });
     }
-    // const routeParts = rout.
-    const methodParts = route.method.split('.');
-    let methodName = methodParts.length && methodParts[methodParts.length - 1];
     if (route.http && route.http.errorStatus) {
       var errorStatus = route.http.errorStatus;
       if (!responseMessages[errorStatus]) {
         responseMessages[errorStatus] = {
           description: 'Unknown error',
-          // TODO - headers, examples
         };
       }
     }
+    addStandardErrors(responseMessages, route, access);
+    _forEach(route.responses, function(declared, code) {
+      responseMessages[code] = mergeResponse(responseMessages[code],
+        declared, typeRegistry, opts);
+    });
+    _forEach(responseMessages, function(response, code) {
+      if (code >= 400 && !response.schema) {
+        var errorType = code === '422' ? 'ValidationError' : 'Error';
+        response.schema = {$ref: typeRegistry.reference(errorType)};
+      }
+    });
 
     debug('route %j', route);
 
@@ -241,14 +339,8 @@ var routeHelper = module.exports = {
     var verb = routeHelper.convertVerb(route.verb);
 
     var tags = [];
-    var swaggerSettings = classDef && classDef.ctor && classDef.ctor.settings &&
-      classDef.ctor.settings.swagger || {};
-
-    if (swaggerSettings.tag && swaggerSettings.tag.name) {
-      tags.push(swaggerSettings.tag.name);
-    } else if (classDef && classDef.name) {
-      tags.push(classDef.name);
-    }
+    var tagName = classDef && tagBuilder.getTagName(classDef);
+    if (tagName) tags.push(tagName);
 
     var id = route.method.replace('.prototype.', '_').replace('.', '_');
     var operationId = createUniqueOperationId(id, verb, path,
@@ -268,17 +360,38 @@ var routeHelper = module.exports = {
         deprecated: !!route.deprecated,
       },
     };
-    const isPublic = (acls.length === 0) || methodName && acls.some(acl => acl.permission === acl.constructor.ALLOW && acl.principalId === '$everyone' && acl.property === methodName);
-    if (!isPublic) {
-      entry.operation.security = [{
-        bearer: []
-      }];
+    if (access) {
+      entry.operation['x-loopback-permission'] = _assign({
+        accessType: access.accessType,
+      }, access.permissions);
+      entry.operation['x-loopback-acl'] = {
+        accessType: access.accessType,
+        allow: access.principals.allow,
+        deny: access.principals.deny,
+      };
+      if (!access.isPublic) {
+        entry.operation.security = getSecurityRequirements(classDef, opts,
+          access);
+      }
     }
-    var hasFormData = accepts.some(function (parameter) {
-      return parameter.in === 'formData';
-    });
-    if (hasFormData) {
-      entry.operation.consumes = ['application/x-www-form-urlencoded'];
+    if (openapiHelper.isOpenApi3(opts)) {
+      // OpenAPI 3.x describes body and form parameters as a request body
+      var requestBody = openapiHelper.buildRequestBody(accepts, opts.consumes);
+      if (requestBody) {
+        entry.operation.requestBody = requestBody;
+      }
+      entry.operation.parameters = accepts.filter(function(parameter) {
+        return parameter.in !== 'body' && parameter.in !== 'formData';
+      });
+      entry.operation.responses = openapiHelper.buildResponses(responseMessages,
+        opts.produces);
+    } else {
+      var hasFormData = accepts.some(function(parameter) {
+        return parameter.in === 'formData';
+      });
+      if (hasFormData) {
+        entry.operation.consumes = ['application/x-www-form-urlencoded'];
+      }
     }
 
     operationIdRegistry[operationId] = entry;
@@ -347,10 +460,18 @@ var routeHelper = module.exports = {
       };
 
       var schema = schemaBuilder.buildFromLoopBackType(accepts, typeRegistry, opts);
+      var queryType = getQueryType(route, classDef, name, typeRegistry);
+      if (queryType) {
+        schema = {$ref: typeRegistry.reference(queryType)};
+      }
       if (paramType === 'body') {
         // HACK: Derive the type from model
         if (paramObject.name === 'data') {
-          if (schema.type === 'object') {
+          var partialType = getPartialType(route, accepts, classDef,
+            typeRegistry);
+          if (partialType) {
+            paramObject.schema = {$ref: typeRegistry.reference(partialType)};
+          } else if (schema.type === 'object') {
             paramObject.schema = {$ref: typeRegistry.reference(classDef.name)};
           } else {
             paramObject.schema = schema;
@@ -363,38 +484,30 @@ var routeHelper = module.exports = {
         } else {
           paramObject.schema = schema;
         }
-      } else if (schema.type === 'file') {
+        useInputModel(paramObject.schema, typeRegistry);
+      } else if (openapiHelper.isOpenApi3(opts)) {
+        buildOpenApiParameter(paramObject, schema);
+      } else if (schemaBuilder.isFileSchema(schema)) {
         paramObject.type = 'file';
         paramObject.in = 'formData';
-        paramObject.allowMultiple = false;
         paramObject.description = 'File to upload';
-      } else {
-        var isComplexType = schema.type === 'object' ||
-                            schema.$ref;
-        if (isComplexType) {
-          // paramObject.schema = schema;
-          // theoretically, the param could be solely the schema object directly. However, the client doesn't support making the param a rich type yet
-          // for inline parameters as it currently becomes an object anyway. It does handle inline responses well though. Not using schema at the moment
-          // to reduce changes.
-          paramObject.type = schema.type;
-          paramObject.properties = schema.properties;
-          paramObject.format = 'JSON';
-          // TODO support array of primitive types
-          // and map them to Swagger array of primitive types
-        } else if (schema.type === 'array') {
-          paramObject.type = 'array';
-          paramObject.items = schema.items || {
-            type: 'object'
-          }
-
-        }else {
-          _assign(paramObject, schema);
+      } else if (isComplexSchema(schema)) {
+        // Swagger 2.0 parameters other than body cannot describe objects,
+        // they are sent as JSON strings
+        paramObject.type = 'string';
+        paramObject.format = 'JSON';
+        if (queryType) {
+          // The schema of the JSON value, as a vendor extension
+          paramObject['x-schema'] = schema;
         }
+      } else {
+        _assign(paramObject, schema);
       }
-      if (paramObject.description && paramObject.description.match(idSuffix) && paramObject.name === 'id' && paramObject.in === 'path' && paramObject.type === 'object' && paramObject.format === 'JSON') {
+      if (paramObject.description &&
+          paramObject.description.match(idSuffix) &&
+          paramObject.name === 'id' && paramObject.in === 'path' &&
+          paramObject.format === 'JSON') {
         delete paramObject.format;
-        paramObject.type = 'string';
-
       }
 
       return paramObject;
@@ -402,6 +515,215 @@ var routeHelper = module.exports = {
   },
 };
 
+/**
+ * Get the name of the definition describing the `filter` or `where`
+ * argument of a query method, built from the model queried by the method.
+ */
+function getQueryType(route, classDef, argName, typeRegistry) {
+  var queryArgument = QUERY_ARGUMENTS[argName];
+  var modelCtor = classDef && classDef.ctor;
+  if (!queryArgument || !modelCtor) return undefined;
+
+  var name = route.method.split('.').pop();
+  var prefix = queryArgument.relationPrefix;
+  if (name.indexOf(prefix) === 0) {
+    var relation = modelCtor.relations &&
+      modelCtor.relations[name.slice(prefix.length)];
+    modelCtor = relation && relation.modelTo;
+  } else if (queryArgument.methods.indexOf(name) === -1) {
+    return undefined;
+  }
+
+  var typeName = modelCtor && queryArgument.getTypeName(modelCtor.modelName);
+  return typeName && typeRegistry.isDefined(typeName) ? typeName : undefined;
+}
+
+/**
+ * Get the name of the definition describing the data of partial updates,
+ * generated for operation scoped models.
+ */
+function getPartialType(route, accepts, classDef, typeRegistry) {
+  var name = route.method.split('.').pop();
+  if (PARTIAL_UPDATE_METHODS.indexOf(name) === -1 &&
+      !/^__(update|updateById)__/.test(name)) {
+    return undefined;
+  }
+  var modelName = accepts.model || (classDef && classDef.name);
+  var typeName = modelName && typeRegistry.getPartialModelName(modelName);
+  return typeName && typeRegistry.isDefined(typeName) ? typeName : undefined;
+}
+
+/**
+ * Reference the model of request data generated for Swagger 2.0 models
+ * with write-only properties, if any, from a body schema.
+ */
+function useInputModel(schema, typeRegistry) {
+  var target = schema.type === 'array' ? schema.items : schema;
+  var typeName = target && typeRegistry.getReferencedType(target.$ref);
+  if (typeName && typeRegistry.isDefined('$input_' + typeName)) {
+    target.$ref = typeRegistry.reference('$input_' + typeName);
+  }
+}
+
+/**
+ * Add the error responses sent by LoopBack itself: 401 and 403 when
+ * the operation is secured, 404 when the model instance is not found
+ * and 422 when the data does not pass model validations.
+ */
+function addStandardErrors(responseMessages, route, access) {
+  var name = route.method.split('.').pop();
+  var errors = {};
+  if (access && !access.isPublic) {
+    errors[401] = 'Authorization Required';
+    errors[403] = 'Access Denied';
+  }
+  if (name === 'findById' || route.method.indexOf('.prototype.') !== -1) {
+    errors[404] = 'Model instance not found';
+  }
+  if (VALIDATED_METHODS.indexOf(name) !== -1 ||
+      /^__(create|update|updateById)__/.test(name)) {
+    errors[422] = 'Validation failed';
+  }
+  _forEach(errors, function(description, code) {
+    if (!responseMessages[code]) {
+      responseMessages[code] = {description: description};
+    }
+  });
+}
+
+/**
+ * Build a Header Object from an LDL type descriptor.
+ */
+function buildHeader(ldlDef, typeRegistry, opts) {
+  var header = schemaBuilder.buildFromLoopBackType(ldlDef, typeRegistry);
+  if (!openapiHelper.isOpenApi3(opts) && isComplexSchema(header)) {
+    // Swagger 2.0 headers are limited to primitive types
+    header = _pick(header, ['description']);
+    header.type = 'string';
+  }
+  return header;
+}
+
+/**
+ * Merge a response declared in the `responses` metadata of a remote method
+ * into the response built from `returns`, `errors` and `http` metadata.
+ *
+ * @param {Object} response Response built so far, if any.
+ * @param {Object|String} declared Declared response: `description`, LDL
+ *   `type` or `model` of the body, `headers` (LDL types keyed by header
+ *   name) and `examples` (keyed by media type), or just its description.
+ * @returns {Object} Response Object.
+ */
+function mergeResponse(response, declared, typeRegistry, opts) {
+  response = _assign({description: ''}, response);
+  if (typeof declared === 'string') declared = {description: declared};
+
+  if (declared.description) {
+    response.description = typeConverter.convertText(declared.description);
+  }
+  if (declared.model) {
+    response.schema = {$ref: typeRegistry.reference(declared.model)};
+  } else if (declared.type) {
+    var ldlDef = _omit(declared, ['description', 'headers', 'examples']);
+    response.schema = schemaBuilder.buildFromLoopBackType(ldlDef,
+      typeRegistry);
+  }
+  if (declared.headers) {
+    response.headers = _assign({}, response.headers,
+      _mapValues(declared.headers, function(ldlDef) {
+        return buildHeader(ldlDef, typeRegistry, opts);
+      }));
+  }
+  if (declared.examples) {
+    response.examples = _assign({}, response.examples, declared.examples);
+  }
+  return response;
+}
+
+/**
+ * Check whether a schema describes objects, including arrays of objects,
+ * which Swagger 2.0 non-body parameters cannot describe.
+ */
+function isComplexSchema(schema) {
+  if (schema.type === 'array') {
+    return !schema.items || isComplexSchema(schema.items);
+  }
+  return schema.type === 'object' || !!schema.$ref;
+}
+
+/**
+ * Describe the value of a non-body parameter the OpenAPI 3.x way,
+ * i.e. using `schema` or `content` instead of Swagger 2.0 data type fields.
+ * Form parameters keep their `schema` until they are merged into
+ * the request body by `openapiHelper.buildRequestBody`.
+ */
+function buildOpenApiParameter(paramObject, schema) {
+  schema = _omit(schema, ['description']);
+
+  if (schemaBuilder.isFileSchema(schema)) {
+    paramObject.in = 'formData';
+    paramObject.description = 'File to upload';
+    paramObject.schema = schema;
+    return;
+  }
+
+  var isComplexType = schema.type === 'object' || schema.$ref;
+  if (!isComplexType || paramObject.in === 'formData') {
+    paramObject.schema = schema;
+  } else if (paramObject.in === 'path') {
+    // Path segments cannot carry JSON-encoded values
+    paramObject.schema = {type: 'string'};
+  } else {
+    // Complex values are sent as JSON-encoded strings
+    paramObject.content = {'application/json': {schema: schema}};
+  }
+}
+
+/**
+ * Get the security requirements of a secured operation: the requirements
+ * configured in model settings (`swagger.security`), the requirements
+ * computed by the generator from the app's security schemes (`opts.security`),
+ * or the legacy `bearer` scheme.
+ *
+ * When `opts.rolesAsScopes` names an OAuth2 scheme, the roles allowed
+ * to invoke the operation are listed as the scopes of that scheme.
+ * When `opts.scopesScheme` names an OAuth2 scheme, the `accessScopes`
+ * of the method are listed as the scopes of that scheme.
+ */
+function getSecurityRequirements(classDef, opts, access) {
+  var swaggerSettings = classDef && classDef.ctor && classDef.ctor.settings &&
+    classDef.ctor.settings.swagger || {};
+  var security = swaggerSettings.security || opts && opts.security;
+  if (!security || !security.length) {
+    security = [{bearer: []}];
+  }
+  security = _cloneDeep(security);
+
+  var rolesScheme = opts && opts.rolesAsScopes;
+  if (typeof rolesScheme === 'string') {
+    security.forEach(function(requirement) {
+      if (requirement[rolesScheme]) {
+        requirement[rolesScheme] = aclHelper.getAllowedRoles(access);
+      }
+    });
+  }
+
+  var scopesScheme = opts && opts.scopesScheme;
+  if (scopesScheme && access.scopes) {
+    // A token granted any of the method's scopes is accepted, which
+    // is described by one alternative requirement per scope
+    security = _flatMap(security, function(requirement) {
+      if (!requirement[scopesScheme]) return [requirement];
+      return access.scopes.map(function(scope) {
+        var alternative = _cloneDeep(requirement);
+        alternative[scopesScheme] = [scope].concat(requirement[scopesScheme]);
+        return alternative;
+      });
+    });
+  }
+  return security;
+}
+
 function createUniqueOperationId(methodName, verb, path, operationIdRegistry) {
   // [bajtos] We used to remove leading model name from the operation
   // name for Swagger Spec 1.2. Swagger Spec 2.0 requires
@@ -55,6 +55,8 @@ var SWAGGER_DATA_TYPE_FIELDS = [
  *   - an object containing a `type` property with string/function/array value
  *     and validation fields like `length` or `max`
  * @param {TypeRegistry} typeRegistry The registry of known types and models.
+ * @param {Object} [opts] Generator options, `opts.anonymousTypeName` is the
+ *   name of the definition describing an anonymous object type.
  * @returns {Object} Swagger Schema Object that can be used as `schema` field
  *   or as a base for Parameter Object.
  */
@@ -72,8 +74,7 @@ exports.buildFromLoopBackType = function(ldlDef, typeRegistry, opts) {
     ldlDef = {type: 'any'};
   }
 
-
-  var schema = exports.buildMetadata(ldlDef);
+  var schema = exports.buildMetadata(ldlDef, typeRegistry);
 
   var ldlType = ldlDef.forceType || ldlDef.type;
   if (ldlType === 'object' && ldlDef.model) {
@@ -81,7 +82,7 @@ exports.buildFromLoopBackType = function(ldlDef, typeRegistry, opts) {
     // created for create operation. This instance will not contains excludeOnly
     // properties. For e.g generated "id" property.
     if (opts && opts.generateOperationScopedModels && ldlDef.createOnlyInstance) {
-      ldlType = '$new_' + ldlDef.model;
+      ldlType = typeRegistry.getNewModelName(ldlDef.model);
     } else if (opts && opts.generateRelationProperties) {
       ldlType = ldlDef.model + 'WithRelations';
     } else {
@@ -90,24 +91,39 @@ exports.buildFromLoopBackType = function(ldlDef, typeRegistry, opts) {
   }
   ldlType = exports.getLdlTypeName(ldlType);
 
+  // Anonymous objects are registered as named definitions when a name
+  // is given, either by the `swagger.name` hint or by the caller
+  var hint = ldlDef.swagger && ldlDef.swagger.name;
+  var typeName = hint || opts && opts.anonymousTypeName;
+
   if (Array.isArray(ldlType)) {
     var itemLdl = ldlType[0] || 'any';
-    var itemSchema = exports.buildFromLoopBackType(itemLdl, typeRegistry);
+    var itemSchema = exports.buildFromLoopBackType(itemLdl, typeRegistry,
+      typeName ? {anonymousTypeName: typeName} : undefined);
     schema.type = 'array';
     schema.items = itemSchema;
 
-    return schema;
+    return applyNullable(schema, ldlDef, typeRegistry);
   }
 
   if (ldlType === 'object' && typeof ldlDef.type === 'object') {
     var obj = {};
     for (var prop in ldlDef.type) {
-      obj[prop] = exports.buildFromLoopBackType(ldlDef.type[prop], typeRegistry);
+      obj[prop] = exports.buildFromLoopBackType(ldlDef.type[prop], typeRegistry,
+        typeName ? {anonymousTypeName: typeName + '_' + prop} : undefined);
+    }
+    if (typeName) {
+      typeName = typeRegistry.registerAnonymousType(typeName, {
+        type: 'object',
+        properties: obj,
+      }, !!hint);
+      schema.$ref = typeRegistry.reference(typeName);
+    } else {
+      schema.type = 'object';
+      schema.properties = obj;
     }
-    schema.type = 'object';
-    schema.properties = obj;
 
-    return schema;
+    return applyNullable(schema, ldlDef, typeRegistry);
   }
 
   var ldlTypeLowerCase = ldlType.toLowerCase();
@@ -127,18 +143,66 @@ exports.buildFromLoopBackType = function(ldlDef, typeRegistry, opts) {
     case 'any':
       schema.$ref = typeRegistry.reference('x-any');
       break;
+    case 'file':
+      Object.assign(schema, typeRegistry.getFileSchema());
+      break;
     default:
       if (exports.isPrimitiveType(ldlTypeLowerCase)) {
         schema.type = ldlTypeLowerCase;
       } else {
-        // TODO - register anonymous types
         schema.$ref = typeRegistry.reference(ldlType);
       }
   }
 
-  return schema;
+  return applyNullable(schema, ldlDef, typeRegistry);
+};
+
+/**
+ * Check whether a LoopBack property/argument accepts `null` values.
+ * Discovered models describe nullability using `"Y"`/`"N"` strings.
+ * @param {Object} ldlDef LDL property/argument definition.
+ * @returns {Boolean}
+ */
+exports.isNullable = function(ldlDef) {
+  var nullable = ldlDef.nullable;
+  if (typeof nullable === 'string') {
+    return /^(y|yes|true)$/i.test(nullable);
+  }
+  return nullable === true || nullable === 1 || ldlDef.default === null;
 };
 
+/**
+ * Mark the schema as accepting `null` values. Swagger 2.0 cannot express
+ * nullability, OpenAPI 3.0 uses the `nullable` keyword and OpenAPI 3.1
+ * (JSON Schema 2020-12) adds `null` to the list of types.
+ */
+function applyNullable(schema, ldlDef, typeRegistry) {
+  if (!typeRegistry.isOpenApi3() || !exports.isNullable(ldlDef)) {
+    return schema;
+  }
+
+  if (!typeRegistry.isOpenApi31()) {
+    if (schema.$ref) {
+      // Sibling keywords of $ref are ignored in OpenAPI 3.0
+      schema.allOf = [{$ref: schema.$ref}];
+      delete schema.$ref;
+    }
+    schema.nullable = true;
+    return schema;
+  }
+
+  if (schema.$ref) {
+    schema.anyOf = [{$ref: schema.$ref}, {type: 'null'}];
+    delete schema.$ref;
+  } else if (schema.type && schema.type !== 'null') {
+    schema.type = [schema.type, 'null'];
+  }
+  if (Array.isArray(schema.enum) && schema.enum.indexOf(null) === -1) {
+    schema.enum = schema.enum.concat([null]);
+  }
+  return schema;
+}
+
 /**
  * @param {String|Function|Array|Object} ldlType LDL type
  * @returns {String|Array} Type name
@@ -164,7 +228,6 @@ exports.getLdlTypeName = function(ldlType) {
 
   if (typeof ldlType === 'object') {
     // Anonymous objects, they are allowed e.g. in accepts/returns definitions
-    // TODO(bajtos) Build a named schema for this anonymous object
     return 'object';
   }
 
@@ -181,9 +244,12 @@ exports.getLdlTypeName = function(ldlType) {
  * Convert validations and other metadata from LDL format to Swagger format.
  * @param {Object} ldlDef LDL property/argument definition,
  * for example `{ type: 'string', maxLength: 64 }`.
+ * @param {TypeRegistry} [typeRegistry] The registry describing the target
+ * spec version, Swagger 2.0 is assumed when not provided.
  * @return {Object} Metadata in Swagger format.
  */
-exports.buildMetadata = function(ldlDef) {
+exports.buildMetadata = function(ldlDef, typeRegistry) {
+  var jsonSchema2020 = !!typeRegistry && typeRegistry.isOpenApi31();
   var result = {};
   var key;
 
@@ -204,7 +270,12 @@ exports.buildMetadata = function(ldlDef) {
       result[key] = ldlDef[key];
   }
 
-  if ('default' in result) {
+  if (typeof result.default === 'function') {
+    // Defaults computed by functions, e.g. `Date.now`, cannot be described
+    delete result.default;
+  }
+
+  if ('default' in result && !jsonSchema2020) {
     // Skip null default values as the Swagger 2.x spec does not support null.
     // This is applied to both top-level and nested property defaults.
     // See: https://github.com/OAI/OpenAPI-Specification/issues/229
@@ -231,13 +302,40 @@ exports.buildMetadata = function(ldlDef) {
   } else if (ldlDef.doc) {
     result.description = typeConverter.convertText(ldlDef.doc);
   }
+  if ('const' in ldlDef) {
+    if (jsonSchema2020) {
+      result.const = ldlDef.const;
+    } else {
+      result.enum = [ldlDef.const];
+    }
+  }
+
+  var examples = Array.isArray(ldlDef.examples) ? ldlDef.examples : [];
   if (ldlDef.example) {
-    result.example = ldlDef.example;
+    examples = [ldlDef.example].concat(examples);
+  }
+  if (examples.length) {
+    if (jsonSchema2020) {
+      result.examples = examples;
+    } else {
+      result.example = examples[0];
+    }
   }
 
   return result;
 };
 
+/**
+ * Check whether the schema describes a file (an upload or a download).
+ * @param {Object} schema Swagger/OpenAPI Schema Object.
+ * @returns {Boolean}
+ */
+exports.isFileSchema = function(schema) {
+  return !!schema && (schema.type === 'file' ||
+    (schema.type === 'string' && schema.format === 'binary') ||
+    (schema.type === 'string' && !!schema.contentMediaType));
+};
+
 exports.isPrimitiveType = function(typeName) {
   return TYPES_PRIMITIVE.indexOf(typeName.toLowerCase()) !== -1;
 };
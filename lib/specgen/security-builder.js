@@ -0,0 +1,251 @@
+// Copyright IBM Corp. 2020. All Rights Reserved.
+// Node module: loopback-swagger
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+// Globalization
+var g = require('strong-globalize')();
+
+var _ = require('lodash');
+
+// Locations searched by `AccessToken.getIdForRequest()` unless
+// `searchDefaultTokenKeys` is disabled
+var DEFAULT_TOKEN_KEYS = {
+  params: ['access_token'],
+  headers: ['X-Access-Token', 'authorization'],
+  cookies: ['access_token', 'authorization'],
+};
+
+// Scheme described when neither schemes nor token options are provided:
+// the `Authorization` header, where clients usually send access tokens
+var DEFAULT_SCHEMES = {
+  bearer: {type: 'apiKey', in: 'header', name: 'Authorization'},
+};
+
+// OpenAPI 3.x flow names keyed by Swagger 2.0 flow names
+var OAUTH2_FLOWS = {
+  implicit: 'implicit',
+  password: 'password',
+  application: 'clientCredentials',
+  accessCode: 'authorizationCode',
+};
+
+/**
+ * Build the security schemes of the API, either from the schemes declared
+ * by the application, from the options of the `loopback.token()`
+ * middleware (`opts.accessToken`) or else the `bearer` header scheme.
+ *
+ * Schemes can be declared in Swagger 2.0 or OpenAPI 3.x format,
+ * they are converted to the format of the generated spec.
+ *
+ * @param {Object} opts Generator options.
+ * @param {Object} swaggerSpecExtensions Spec fields configured in
+ *   `app.get('swagger')`.
+ * @param {Boolean} openapi3 True when generating an OpenAPI 3.x spec.
+ * @returns {Object} Security schemes keyed by name.
+ */
+exports.buildSecuritySchemes = function(opts, swaggerSpecExtensions,
+  openapi3) {
+  var components = swaggerSpecExtensions.components || {};
+  var declared = opts.securitySchemes || opts.securityDefinitions ||
+    swaggerSpecExtensions.securityDefinitions || components.securitySchemes;
+
+  var schemes = declared || (opts.accessToken ?
+    exports.buildTokenSchemes(opts.accessToken) :
+    DEFAULT_SCHEMES);
+  var result = {};
+  for (var name in schemes) {
+    var scheme = _.cloneDeep(schemes[name]);
+    scheme = openapi3 ?
+      exports.toOpenApiScheme(scheme) :
+      exports.toSwaggerScheme(scheme);
+    if (scheme) {
+      result[name] = scheme;
+    } else if (declared) {
+      g.warn('{{Swagger}}: security scheme %j cannot be described ' +
+        'in {{Swagger 2.0}}, skipping it.', name);
+    }
+  }
+  return result;
+};
+
+/**
+ * Describe the locations where `loopback.token()` looks for access tokens
+ * as `apiKey` security schemes.
+ *
+ * The `Authorization` header is described by the `bearer` scheme,
+ * other schemes are named `{in}_{name}`, e.g. `query_access_token`.
+ *
+ * @param {Object} tokenOptions Options of the `loopback.token()` middleware:
+ *   `params`, `headers`, `cookies` and `searchDefaultTokenKeys`.
+ * @returns {Object} Security schemes keyed by name.
+ */
+exports.buildTokenSchemes = function(tokenOptions) {
+  tokenOptions = tokenOptions || {};
+  var keys = {
+    query: [].concat(tokenOptions.params || []),
+    header: [].concat(tokenOptions.headers || []),
+    cookie: [].concat(tokenOptions.cookies || []),
+  };
+  if (tokenOptions.searchDefaultTokenKeys !== false) {
+    keys.query = keys.query.concat(DEFAULT_TOKEN_KEYS.params);
+    keys.header = keys.header.concat(DEFAULT_TOKEN_KEYS.headers);
+    keys.cookie = keys.cookie.concat(DEFAULT_TOKEN_KEYS.cookies);
+  }
+
+  var schemes = {};
+  _.forEach(keys, function(names, location) {
+    _.uniqBy(names, _.toLower).forEach(function(name) {
+      var isAuthorizationHeader = location === 'header' &&
+        name.toLowerCase() === 'authorization';
+      var schemeName = isAuthorizationHeader ? 'bearer' :
+        location + '_' + name.replace(/[^\w.-]/g, '_');
+      schemes[schemeName] = {
+        type: 'apiKey',
+        in: location,
+        name: isAuthorizationHeader ? 'Authorization' : name,
+      };
+    });
+  });
+  return schemes;
+};
+
+/**
+ * Convert a security scheme to a Swagger 2.0 Security Scheme Object.
+ * @param {Object} scheme Scheme in Swagger 2.0 or OpenAPI 3.x format.
+ * @returns {Object} The converted scheme, or undefined when the scheme
+ *   has no Swagger 2.0 counterpart.
+ */
+exports.toSwaggerScheme = function(scheme) {
+  switch (scheme.type) {
+    case 'apiKey':
+      // Swagger 2.0 does not support API keys sent in cookies
+      return scheme.in === 'cookie' ? undefined : scheme;
+    case 'http':
+      if (scheme.scheme === 'basic') {
+        return _.omitBy({type: 'basic', description: scheme.description},
+          _.isUndefined);
+      }
+      if (scheme.scheme === 'bearer') {
+        return _.omitBy({
+          type: 'apiKey',
+          in: 'header',
+          name: 'Authorization',
+          description: scheme.description,
+        }, _.isUndefined);
+      }
+      return undefined;
+    case 'oauth2':
+      if (!scheme.flows) return scheme;
+      // Swagger 2.0 supports a single flow per scheme
+      var flowName = _.findKey(OAUTH2_FLOWS, function(name) {
+        return name in scheme.flows;
+      });
+      if (!flowName) return undefined;
+      var flow = scheme.flows[OAUTH2_FLOWS[flowName]];
+      return _.omitBy({
+        type: 'oauth2',
+        description: scheme.description,
+        flow: flowName,
+        authorizationUrl: flow.authorizationUrl,
+        tokenUrl: flow.tokenUrl,
+        scopes: flow.scopes || {},
+      }, _.isUndefined);
+    case 'openIdConnect':
+      return undefined;
+    default:
+      return scheme;
+  }
+};
+
+/**
+ * Convert a security scheme to an OpenAPI 3.x Security Scheme Object.
+ * @param {Object} scheme Scheme in Swagger 2.0 or OpenAPI 3.x format.
+ * @returns {Object} The converted scheme.
+ */
+exports.toOpenApiScheme = function(scheme) {
+  switch (scheme.type) {
+    case 'basic':
+      return _.omitBy({
+        type: 'http',
+        scheme: 'basic',
+        description: scheme.description,
+      }, _.isUndefined);
+    case 'oauth2':
+      if (scheme.flows) return scheme;
+      var flows = {};
+      flows[OAUTH2_FLOWS[scheme.flow] || scheme.flow] = _.omitBy({
+        authorizationUrl: scheme.authorizationUrl,
+        tokenUrl: scheme.tokenUrl,
+        scopes: scheme.scopes || {},
+      }, _.isUndefined);
+      return _.omitBy({
+        type: 'oauth2',
+        description: scheme.description,
+        flows: flows,
+      }, _.isUndefined);
+    default:
+      return scheme;
+  }
+};
+
+/**
+ * Build the Security Requirement Objects allowing any of the given schemes.
+ * @param {Object} schemes Security schemes keyed by name.
+ * @returns {Array}
+ */
+exports.buildSecurityRequirements = function(schemes) {
+  return Object.keys(schemes).map(function(name) {
+    var requirement = {};
+    requirement[name] = [];
+    return requirement;
+  });
+};
+
+/**
+ * Build an OAuth2 scheme describing access tokens obtained by logging in
+ * with a username and a password.
+ * @param {String} tokenUrl URL of the login method.
+ * @param {Boolean} openapi3 True when generating an OpenAPI 3.x spec.
+ * @returns {Object}
+ */
+exports.buildPasswordScheme = function(tokenUrl, openapi3) {
+  var scheme = {
+    type: 'oauth2',
+    description: g.f('Access token issued by the login method.'),
+    flow: 'password',
+    tokenUrl: tokenUrl,
+    scopes: {},
+  };
+  return openapi3 ? exports.toOpenApiScheme(scheme) : scheme;
+};
+
+/**
+ * Find the OAuth2 scheme used to describe roles or access scopes as scopes.
+ * @param {Object} schemes Security schemes keyed by name.
+ * @param {Boolean|String} rolesAsScopes The `rolesAsScopes` option:
+ *   the name of the scheme, or `true` to use the first OAuth2 scheme.
+ * @returns {String} The scheme name, or undefined when there is no such
+ *   OAuth2 scheme.
+ */
+exports.findOAuth2Scheme = function(schemes, rolesAsScopes) {
+  if (typeof rolesAsScopes === 'string') {
+    var scheme = schemes[rolesAsScopes];
+    return scheme && scheme.type === 'oauth2' ? rolesAsScopes : undefined;
+  }
+  return _.findKey(schemes, {type: 'oauth2'});
+};
+
+/**
+ * Add scopes to an OAuth2 scheme, keeping scopes already declared.
+ * @param {Object} scheme Scheme in Swagger 2.0 or OpenAPI 3.x format.
+ * @param {Object} scopes Scope descriptions keyed by scope name.
+ */
+exports.addScopes = function(scheme, scopes) {
+  var flows = scheme.flows ? _.values(scheme.flows) : [scheme];
+  flows.forEach(function(flow) {
+    flow.scopes = _.defaults(flow.scopes || {}, scopes);
+  });
+};
@@ -0,0 +1,137 @@
+// Copyright IBM Corp. 2020. All Rights Reserved.
+// Node module: loopback-swagger
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+// Globalization
+var g = require('strong-globalize')();
+
+var path = require('path');
+var yaml = require('js-yaml');
+var _ = require('lodash');
+
+// Order of the fields of Swagger and OpenAPI Objects, other fields
+// (e.g. `x-` extensions) come after them
+var ROOT_FIELDS = [
+  'swagger', 'openapi', 'info', 'externalDocs', 'servers',
+  'host', 'basePath', 'schemes', 'consumes', 'produces',
+  'security', 'tags', 'paths', 'components', 'definitions',
+  'parameters', 'responses', 'securityDefinitions',
+];
+
+var HTTP_METHODS = [
+  'get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace',
+];
+
+var PATH_ITEM_FIELDS = [
+  '$ref', 'summary', 'description', 'servers', 'parameters',
+].concat(HTTP_METHODS);
+
+var FILE_FORMATS = {
+  '.json': 'json',
+  '.yaml': 'yaml',
+  '.yml': 'yaml',
+};
+
+/**
+ * Order the fields of a spec so that serializing it gives the same output
+ * whatever the order in which models and methods were registered: root
+ * fields follow the order of the specification, paths, definitions,
+ * security schemes and responses are sorted by name.
+ *
+ * @param {Object} spec Swagger or OpenAPI Object.
+ * @returns {Object} A shallow copy of the spec, with ordered fields.
+ */
+exports.sortSpec = function(spec) {
+  var sorted = orderKeys(spec, ROOT_FIELDS);
+  if (sorted.paths) {
+    sorted.paths = _.mapValues(sortKeys(sorted.paths), sortPathItem);
+  }
+  ['definitions', 'parameters', 'responses', 'securityDefinitions']
+    .forEach(function(field) {
+      if (sorted[field]) sorted[field] = sortKeys(sorted[field]);
+    });
+  if (sorted.components) {
+    sorted.components = _.mapValues(sortKeys(sorted.components), sortKeys);
+  }
+  return sorted;
+};
+
+/**
+ * Serialize a spec to JSON.
+ * @param {Object} spec Swagger or OpenAPI Object.
+ * @returns {String}
+ */
+exports.toJSON = function(spec) {
+  return JSON.stringify(exports.sortSpec(spec), null, 2) + '\n';
+};
+
+/**
+ * Serialize a spec to YAML. Multi-line texts, e.g. descriptions given
+ * as arrays of lines, are written as block scalars.
+ * @param {Object} spec Swagger or OpenAPI Object.
+ * @returns {String}
+ */
+exports.toYAML = function(spec) {
+  return yaml.safeDump(exports.sortSpec(spec), {
+    // Objects shared by several operations must be repeated
+    noRefs: true,
+    // Skip undefined values like JSON.stringify does
+    skipInvalid: true,
+    // Do not fold long lines
+    lineWidth: -1,
+  });
+};
+
+/**
+ * Serialize a spec.
+ * @param {Object} spec Swagger or OpenAPI Object.
+ * @param {String} format `json` or `yaml`.
+ * @returns {String}
+ */
+exports.serialize = function(spec, format) {
+  return format === 'yaml' ? exports.toYAML(spec) : exports.toJSON(spec);
+};
+
+/**
+ * Get the format of a spec file from its extension.
+ * @param {String} file The file path.
+ * @returns {String} `json` or `yaml`.
+ */
+exports.getFileFormat = function(file) {
+  var format = FILE_FORMATS[path.extname(file).toLowerCase()];
+  if (!format) {
+    throw new Error(g.f('Cannot write {{Swagger spec}} to %s, ' +
+      'use a .json, .yaml or .yml file.', file));
+  }
+  return format;
+};
+
+function sortPathItem(pathItem) {
+  return _.mapValues(orderKeys(pathItem, PATH_ITEM_FIELDS),
+    function(value, key) {
+      if (HTTP_METHODS.indexOf(key) === -1 || !value.responses) return value;
+      return _.assign({}, value, {responses: sortKeys(value.responses)});
+    });
+}
+
+function orderKeys(obj, fields) {
+  var result = {};
+  fields.forEach(function(field) {
+    if (field in obj) result[field] = obj[field];
+  });
+  for (var key in obj) {
+    if (!(key in result)) result[key] = obj[key];
+  }
+  return result;
+}
+
+function sortKeys(obj) {
+  var result = {};
+  Object.keys(obj).sort().forEach(function(key) {
+    result[key] = obj[key];
+  });
+  return result;
+}
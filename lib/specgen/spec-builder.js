@@ -0,0 +1,267 @@
+// Copyright IBM Corp. 2020. All Rights Reserved.
+// Node module: loopback-swagger
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+/**
+ * Module dependencies.
+ */
+var _ = require('lodash');
+var debug = require('debug')('loopback:explorer:specBuilder');
+var generator = require('./swagger-spec-generator');
+var modelHelper = require('./model-helper');
+var routeHelper = require('./route-helper');
+var operationFilter = require('./operation-filter');
+var TypeRegistry = require('./type-registry');
+
+module.exports = SpecBuilder;
+
+// Application events signalling that the methods of a class changed
+var CLASS_EVENTS = [
+  'modelRemoted',
+  'remoteMethodAdded',
+  'remoteMethodDisabled',
+];
+
+/**
+ * Stateful builder of the spec of a LoopBack application.
+ *
+ * The builder keeps model definitions and the operations built for each
+ * remoting class. It listens to the application events emitted when models
+ * or remote methods change, and `build()` only rebuilds the operations
+ * of the affected classes and the definitions of redefined models.
+ *
+ * ACLs are resolved when the operations of a class are built, changes
+ * of static ACLs are not detected. `buildAsync()` also takes into account
+ * ACLs and role mappings persisted in the app's data sources, operations
+ * are rebuilt when those change.
+ *
+ * @param {Application} loopbackApplication The application to document.
+ * @param {Object} opts Options, see `generateSwaggerSpec`.
+ */
+function SpecBuilder(loopbackApplication, opts) {
+  this._app = loopbackApplication;
+  this._opts = opts;
+  this._stale = Object.create(null);
+  this._accessKey = JSON.stringify(null);
+  this._reset();
+
+  var self = this;
+  this._onClassChanged = function(sharedClass) {
+    self.invalidate(sharedClass && sharedClass.name);
+  };
+  this._onModelDeleted = function(model) {
+    self.invalidate(typeof model === 'string' ? model : model.modelName);
+  };
+  CLASS_EVENTS.forEach(function(event) {
+    loopbackApplication.on(event, self._onClassChanged);
+  });
+  loopbackApplication.on('modelDeleted', this._onModelDeleted);
+}
+
+SpecBuilder.prototype._reset = function(opts) {
+  this._typeRegistry = opts ? new TypeRegistry(opts) : undefined;
+  this._operationIdRegistry = Object.create(null);
+  // Model classes keyed by model name
+  this._models = Object.create(null);
+  // Operations, path entries and referenced types keyed by class name
+  this._classes = Object.create(null);
+  this._optionsKey = undefined;
+  this._securityKey = undefined;
+};
+
+/**
+ * Mark the operations of a class as out of date.
+ * @param {String} [className] The class name, everything is rebuilt
+ *   when not provided.
+ */
+SpecBuilder.prototype.invalidate = function(className) {
+  if (className) {
+    this._stale[className] = true;
+  } else {
+    this._reset();
+  }
+};
+
+/**
+ * Stop listening to application events.
+ */
+SpecBuilder.prototype.dispose = function() {
+  var app = this._app;
+  CLASS_EVENTS.forEach(function(event) {
+    app.removeListener(event, this._onClassChanged);
+  }, this);
+  app.removeListener('modelDeleted', this._onModelDeleted);
+};
+
+/**
+ * Build the spec, reusing what was built for classes and models which
+ * did not change since the previous call.
+ * @param {Object} [dynamicAccess] Persisted ACLs and role mappings,
+ *   see `buildAsync()`.
+ * @returns {Object} The Swagger Object.
+ */
+SpecBuilder.prototype.build = function(dynamicAccess) {
+  var app = this._app;
+  var prepared = generator.prepareOptions(app, this._opts);
+  var opts = prepared.opts;
+  var swaggerSpecExtensions = prepared.swaggerSpecExtensions;
+
+  var optionsKey = JSON.stringify(prepared);
+  if (optionsKey !== this._optionsKey) {
+    debug('options changed, rebuilding everything');
+    this._reset(opts);
+    this._optionsKey = optionsKey;
+  }
+
+  // Permissions of all operations depend on the persisted ACLs
+  var accessKey = JSON.stringify(dynamicAccess || null);
+  if (accessKey !== this._accessKey) {
+    debug('persisted ACLs changed');
+    for (var name in this._classes) {
+      this._stale[name] = true;
+    }
+    this._accessKey = accessKey;
+  }
+  this._dynamicAccess = dynamicAccess;
+
+  var loopbackRegistry = generator.getLoopbackRegistry(app);
+  this._registerModels(loopbackRegistry.modelBuilder.models, opts);
+
+  var remotes = app.remotes();
+  var classes = remotes.classes().filter(function(aClass) {
+    return !!aClass.name;
+  });
+  this._collectOperations(remotes, classes,
+    generator.findModel(app, loopbackRegistry, 'ACL'), opts);
+
+  var operations = _.flatMap(classes, function(aClass) {
+    return this._classes[aClass.name].operations;
+  }.bind(this));
+  var securitySchemes = generator.buildSecurity(opts, swaggerSpecExtensions,
+    operations);
+
+  // Security requirements of all operations depend on the security options
+  var securityKey = JSON.stringify(_.pick(opts,
+    ['security', 'scopesScheme', 'rolesAsScopes']));
+  if (securityKey !== this._securityKey) {
+    _.forEach(this._classes, function(state) {
+      state.entries = undefined;
+    });
+    this._securityKey = securityKey;
+  }
+
+  var swaggerObject = generator.generateSwaggerObjectBase(opts,
+    swaggerSpecExtensions);
+  swaggerObject.tags = swaggerObject.tags.concat(generator.buildTags(classes,
+    opts));
+
+  var references = [];
+  classes.forEach(function(aClass) {
+    var state = this._classes[aClass.name];
+    if (!state.entries) this._buildEntries(state, opts);
+    state.entries.forEach(function(entry) {
+      if (!(entry.path in swaggerObject.paths)) {
+        swaggerObject.paths[entry.path] = {};
+      }
+      swaggerObject.paths[entry.path][entry.method] = entry.operation;
+    });
+    references = references.concat(state.references);
+  }, this);
+  this._typeRegistry.setReferences(_.uniq(references));
+
+  // The spec is handed over to `swaggerResources` listeners and to the
+  // caller, neither of them may modify what is kept for the next build
+  swaggerObject.paths = _.cloneDeep(swaggerObject.paths);
+  return generator.finalizeSwaggerObject(app, swaggerObject,
+    _.cloneDeep(this._typeRegistry.getDefinitions()), securitySchemes, opts);
+};
+
+/**
+ * Build the spec like `build()`, taking into account ACLs and role mappings
+ * persisted in the app's data sources, like `generateSwaggerSpecAsync`.
+ * @returns {Promise} Resolves with the Swagger Object.
+ */
+SpecBuilder.prototype.buildAsync = function() {
+  var self = this;
+  return generator.loadDynamicAccess(this._app).then(function(dynamicAccess) {
+    return self.build(dynamicAccess);
+  });
+};
+
+SpecBuilder.prototype._registerModels = function(models, opts) {
+  var typeRegistry = this._typeRegistry;
+  for (var name in this._models) {
+    if (models[name] === this._models[name]) continue;
+    debug('model %s was redefined or deleted', name);
+    typeRegistry.unregisterModel(name);
+    delete this._models[name];
+    this._stale[name] = true;
+  }
+  for (name in models) {
+    if (this._models[name]) continue;
+    this._models[name] = models[name];
+    modelHelper.registerModelDefinition(models[name], typeRegistry, opts);
+  }
+};
+
+SpecBuilder.prototype._collectOperations = function(remotes, classes, ACL,
+  opts) {
+  var classNames = _.map(classes, 'name');
+  for (var name in this._classes) {
+    if (this._stale[name] || classNames.indexOf(name) === -1) {
+      this._dropClass(name);
+    }
+  }
+  this._stale = Object.create(null);
+
+  var missing = classes.filter(function(aClass) {
+    return !this._classes[aClass.name];
+  }, this);
+  if (!missing.length) return;
+
+  var routes = remotes.handler('rest').adapter.allRoutes();
+  missing.forEach(function(aClass) {
+    debug('collecting operations of %s', aClass.name);
+    var classRoutes = routes.filter(function(route) {
+      return route.method.split('.')[0] === aClass.name;
+    });
+    var operations = generator.collectOperations(classRoutes, [aClass], ACL,
+      this._dynamicAccess);
+    this._classes[aClass.name] = {
+      operations: operationFilter.filterOperations(operations, opts.filter),
+      operationIds: [],
+    };
+  }, this);
+};
+
+SpecBuilder.prototype._dropClass = function(name) {
+  var operationIdRegistry = this._operationIdRegistry;
+  this._classes[name].operationIds.forEach(function(id) {
+    delete operationIdRegistry[id];
+  });
+  delete this._classes[name];
+};
+
+SpecBuilder.prototype._buildEntries = function(state, opts) {
+  var typeRegistry = this._typeRegistry;
+  var operationIdRegistry = this._operationIdRegistry;
+  state.operationIds.forEach(function(id) {
+    delete operationIdRegistry[id];
+  });
+
+  var knownIds = Object.keys(operationIdRegistry);
+  var entries;
+  state.references = typeRegistry.collectReferences(function() {
+    entries = state.operations.map(function(operation) {
+      return routeHelper.routeToPathEntry(operation.route,
+        operation.classDef, typeRegistry, operationIdRegistry,
+        operation.access, opts);
+    });
+  });
+  state.entries = entries;
+  state.operationIds = _.difference(Object.keys(operationIdRegistry),
+    knownIds);
+};
@@ -0,0 +1,116 @@
+// Copyright IBM Corp. 2020. All Rights Reserved.
+// Node module: loopback-swagger
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+// Globalization
+var g = require('strong-globalize')();
+
+var Ajv = require('ajv');
+var debug = require('debug')('loopback:explorer:specValidator');
+
+// Offline copies of the official JSON schemas, both are JSON Schema draft-04
+// documents. OpenAPI 3.1 is described by a JSON Schema 2020-12 document
+// which is not supported by the validator.
+var SCHEMAS = {
+  '2.0': require('./schemas/swagger-2.0.json'),
+  '3.0': require('./schemas/openapi-3.0.json'),
+};
+
+var validators = Object.create(null);
+
+/**
+ * Validate a spec against the Swagger 2.0 or OpenAPI 3.0 schema.
+ *
+ * @param {Object} spec Swagger or OpenAPI Object.
+ * @returns {Array} Violations, empty when the spec is valid. Each violation
+ *   is described by `pointer` (JSON pointer of the invalid value),
+ *   `message`, `keyword` and `params` (the failed JSON Schema keyword and
+ *   its parameters) and `schemaPath`. Specs of versions which cannot be
+ *   validated are reported by a single violation of the `version` keyword.
+ */
+exports.validateSwaggerSpec = function(spec) {
+  var version = getSpecVersion(spec);
+  if (!version) {
+    // No schema is bundled for other versions, e.g. OpenAPI 3.1
+    var field = spec && 'openapi' in spec ? 'openapi' : 'swagger';
+    return [{
+      pointer: '/' + field,
+      message: g.f('{{Swagger spec}} version is not supported'),
+      keyword: 'version',
+      params: {version: spec && spec[field]},
+      schemaPath: '',
+    }];
+  }
+  var validate = getValidator(version);
+
+  // Undefined values are not serialized, they must not be validated either
+  var data = JSON.parse(JSON.stringify(spec));
+  if (validate(data)) return [];
+
+  return validate.errors.map(function(err) {
+    return {
+      pointer: err.dataPath,
+      message: err.message,
+      keyword: err.keyword,
+      params: err.params,
+      schemaPath: err.schemaPath,
+    };
+  });
+};
+
+/**
+ * Check that a generated spec is valid, as requested by the `validate`
+ * generator option.
+ *
+ * @param {Object} spec Swagger or OpenAPI Object.
+ * @param {Boolean|String} mode `warn` to report violations as warnings,
+ *   any other value to throw an error.
+ */
+exports.checkSwaggerSpec = function(spec, mode) {
+  if (!getSpecVersion(spec)) {
+    g.warn('{{Swagger}}: cannot validate {{OpenAPI}} %s specs.', spec.openapi);
+    return;
+  }
+
+  var errors = exports.validateSwaggerSpec(spec);
+  if (!errors.length) return;
+  debug('invalid spec: %j', errors);
+
+  if (mode === 'warn') {
+    errors.forEach(function(error) {
+      g.warn('{{Swagger}}: invalid value at %s: %s',
+        error.pointer || '/', error.message);
+    });
+    return;
+  }
+
+  var err = new Error(g.f('The generated {{Swagger spec}} is invalid: ' +
+    '%s: %s', errors[0].pointer || '/', errors[0].message));
+  err.code = 'INVALID_SWAGGER_SPEC';
+  err.details = errors;
+  throw err;
+};
+
+function getSpecVersion(spec) {
+  if (spec && spec.swagger === '2.0') return '2.0';
+  if (spec && /^3\.0(\.|$)/.test(spec.openapi)) return '3.0';
+  return undefined;
+}
+
+function getValidator(version) {
+  if (!validators[version]) {
+    var ajv = new Ajv({
+      allErrors: true,
+      jsonPointers: true,
+      schemaId: 'auto',
+      // The schemas use formats like `uri-reference` loosely
+      unknownFormats: 'ignore',
+    });
+    ajv.addMetaSchema(require('ajv/lib/refs/json-schema-draft-04.json'));
+    validators[version] = ajv.compile(SCHEMAS[version]);
+  }
+  return validators[version];
+}
@@ -17,8 +17,27 @@ var routeHelper = require('./route-helper');
 var modelHelper = require('./model-helper');
 var typeConverter = require('./type-converter');
 var tagBuilder = require('./tag-builder');
+var operationFilter = require('./operation-filter');
+var aclHelper = require('./acl-helper');
+var securityBuilder = require('./security-builder');
+var openapiHelper = require('./openapi-helper');
+var specValidator = require('./spec-validator');
 var TypeRegistry = require('./type-registry');
 
+// Generator options which can be configured in `app.get('swagger')`
+var GENERATOR_OPTIONS = [
+  'generateOperationScopedModels',
+  'generateRelationProperties',
+  'generateModelInheritance',
+  'tagSettings',
+  'defaultTagGroup',
+  'filter',
+  'rolesAsScopes',
+  'accessToken',
+  'securitySchemes',
+  'validate',
+];
+
 /**
  * Create Swagger Object describing the API provided by loopbackApplication.
  *
@@ -27,27 +46,96 @@ var TypeRegistry = require('./type-registry');
  * @returns {Object}
  */
 module.exports = function createSwaggerObject(loopbackApplication, opts) {
+  return buildSwaggerObject(loopbackApplication, opts);
+};
+
+/**
+ * Create Swagger Object describing the API provided by loopbackApplication,
+ * taking into account ACLs and role mappings persisted in the app's data
+ * sources in addition to static ACLs from model settings.
+ *
+ * @param {Application} loopbackApplication The application to document.
+ * @param {Object} opts Options.
+ * @returns {Promise} Resolves with the Swagger Object.
+ */
+module.exports.createSwaggerObjectAsync = function(loopbackApplication, opts) {
+  return loadDynamicAccess(loopbackApplication).then(function(dynamicAccess) {
+    return buildSwaggerObject(loopbackApplication, opts, dynamicAccess);
+  });
+};
+
+// Building blocks shared with the incremental SpecBuilder
+module.exports.prepareOptions = prepareOptions;
+module.exports.buildTags = buildTags;
+module.exports.collectOperations = collectOperations;
+module.exports.buildSecurity = buildSecurity;
+module.exports.finalizeSwaggerObject = finalizeSwaggerObject;
+module.exports.generateSwaggerObjectBase = generateSwaggerObjectBase;
+module.exports.getLoopbackRegistry = getLoopbackRegistry;
+module.exports.loadDynamicAccess = loadDynamicAccess;
+module.exports.findModel = findModel;
+
+function buildSwaggerObject(loopbackApplication, opts, dynamicAccess) {
   // We need a temporary REST adapter to discover our available routes.
   var remotes = loopbackApplication.remotes();
   var adapter = remotes.handler('rest').adapter;
   var routes = adapter.allRoutes();
   var classes = remotes.classes();
 
+  var prepared = prepareOptions(loopbackApplication, opts);
+  opts = prepared.opts;
+  var swaggerSpecExtensions = prepared.swaggerSpecExtensions;
+
+  // Generate fixed fields like info and basePath
+  var swaggerObject = generateSwaggerObjectBase(opts, swaggerSpecExtensions);
+
+  var typeRegistry = new TypeRegistry(opts);
+  var operationIdRegistry = Object.create(null);
+  var loopbackRegistry = getLoopbackRegistry(loopbackApplication);
+  var models = loopbackRegistry.modelBuilder.models;
+  for (var modelName in models) {
+    modelHelper.registerModelDefinition(models[modelName], typeRegistry, opts);
+  }
+
+  swaggerObject.tags = swaggerObject.tags.concat(buildTags(classes, opts));
+
+  var ACL = findModel(loopbackApplication, loopbackRegistry, 'ACL');
+  var operations = collectOperations(routes, classes, ACL, dynamicAccess);
+  operations = operationFilter.filterOperations(operations, opts.filter);
+  var securitySchemes = buildSecurity(opts, swaggerSpecExtensions,
+    operations);
+
+  // A route is an endpoint, such as /users/findOne.
+  operations.forEach(function(operation) {
+    routeHelper.addRouteToSwaggerPaths(operation.route, operation.classDef,
+      typeRegistry, operationIdRegistry,
+      swaggerObject.paths, operation.access, opts);
+  });
+
+  return finalizeSwaggerObject(loopbackApplication, swaggerObject,
+    typeRegistry.getDefinitions(), securitySchemes, opts);
+}
+
+/**
+ * Combine generator options with the options configured in
+ * `app.get('swagger')` and the defaults.
+ *
+ * @param {Application} loopbackApplication The application to document.
+ * @param {Object} opts Options.
+ * @returns {Object} The options (`opts`) and the fields to add to the spec
+ *   (`swaggerSpecExtensions`).
+ */
+function prepareOptions(loopbackApplication, opts) {
   opts = opts || {};
   var swaggerSpecExtensions = Object.assign({}, loopbackApplication.get('swagger'));
 
-  var swaggerOptions = {
-    generateOperationScopedModels: swaggerSpecExtensions.generateOperationScopedModels,
-    generateRelationProperties: swaggerSpecExtensions.generateRelationProperties,
-  };
+  var swaggerOptions = _.pick(swaggerSpecExtensions, GENERATOR_OPTIONS);
 
   // Prevent insert configurations into swagger definitions
-  swaggerSpecExtensions = _.omit(swaggerSpecExtensions, [
-    'generateOperationScopedModels',
-    'generateRelationProperties',
-  ]);
+  swaggerSpecExtensions = _.omit(swaggerSpecExtensions, GENERATOR_OPTIONS);
 
-  opts = _.defaults(opts, swaggerOptions, {
+  // Options computed below must not leak into the caller's object
+  opts = _.defaults({}, opts, swaggerOptions, {
     basePath: loopbackApplication.get('restApiRoot') || '/api',
     // Default consumes/produces
     consumes: [
@@ -64,22 +152,27 @@ module.exports = function createSwaggerObject(loopbackApplication, opts) {
     version: getPackagePropertyOrDefault('version', '1.0.0'),
   });
 
-  // Generate fixed fields like info and basePath
-  var swaggerObject = generateSwaggerObjectBase(opts, swaggerSpecExtensions);
-
-  var typeRegistry = new TypeRegistry();
-  var operationIdRegistry = Object.create(null);
-  var loopbackRegistry = loopbackApplication.registry ||
-                         loopbackApplication.loopback.registry ||
-                         loopbackApplication.loopback;
-  var models = loopbackRegistry.modelBuilder.models;
-  for (var modelName in models) {
-    modelHelper.registerModelDefinition(models[modelName], typeRegistry, opts);
+  // The `openapi` field requires a patch number, e.g. `3.1` means `3.1.0`
+  if (/^3\.\d+$/.test(opts.openapi)) {
+    opts.openapi += '.0';
   }
 
-  // A class is an endpoint root; e.g. /users, /products, and so on.
-  // In Swagger 2.0, there is no endpoint roots, but one can group endpoints
-  // using tags.
+  return {opts: opts, swaggerSpecExtensions: swaggerSpecExtensions};
+}
+
+/**
+ * Build a tag for each class with documented methods.
+ *
+ * A class is an endpoint root; e.g. /users, /products, and so on.
+ * In Swagger 2.0, there is no endpoint roots, but one can group endpoints
+ * using tags.
+ *
+ * @param {Array} classes Strong Remoting classes.
+ * @param {Object} opts Options.
+ * @returns {Array}
+ */
+function buildTags(classes, opts) {
+  var tags = [];
   classes.forEach(function(aClass) {
     if (!aClass.name) return;
 
@@ -88,10 +181,122 @@ module.exports = function createSwaggerObject(loopbackApplication, opts) {
     });
     if (!hasDocumentedMethods) return;
 
-    swaggerObject.tags.push(tagBuilder.buildTagFromClass(aClass));
+    tags.push(tagBuilder.buildTagFromClass(aClass, opts));
   });
+  return tags;
+}
 
-  // A route is an endpoint, such as /users/findOne.
+/**
+ * Build the security schemes and set the security options used when
+ * building operations: `security`, `scopesScheme` and `rolesAsScopes`.
+ *
+ * @param {Object} opts Generator options, modified in place.
+ * @param {Object} swaggerSpecExtensions Spec fields configured in
+ *   `app.get('swagger')`.
+ * @param {Array} operations Operations built by `collectOperations`.
+ * @returns {Object} Security schemes keyed by name.
+ */
+function buildSecurity(opts, swaggerSpecExtensions, operations) {
+  var securitySchemes = securityBuilder.buildSecuritySchemes(opts,
+    swaggerSpecExtensions, openapiHelper.isOpenApi3(opts));
+  opts.scopesScheme = addAccessScopesScheme(securitySchemes, operations,
+    _.defaults({host: swaggerSpecExtensions.host}, opts));
+  if (!opts.security) {
+    opts.security = securityBuilder.buildSecurityRequirements(securitySchemes);
+  }
+  if (opts.rolesAsScopes) {
+    var rolesAsScopes = opts.rolesAsScopes;
+    opts.rolesAsScopes = securityBuilder.findOAuth2Scheme(securitySchemes,
+      rolesAsScopes);
+    if (!opts.rolesAsScopes) {
+      g.warn('{{Swagger}}: no {{OAuth2}} security scheme %j to describe ' +
+        'roles as scopes, ignoring {{rolesAsScopes}}.', rolesAsScopes);
+    }
+  }
+
+  if (opts.rolesAsScopes) {
+    var roleScopes = {};
+    operations.forEach(function(operation) {
+      var access = operation.access;
+      if (!access || access.isPublic) return;
+      aclHelper.getAllowedRoles(access).forEach(function(role) {
+        roleScopes[role] = g.f('Callers in the %s role', role);
+      });
+    });
+    securityBuilder.addScopes(securitySchemes[opts.rolesAsScopes], roleScopes);
+  }
+  return securitySchemes;
+}
+
+/**
+ * Add definitions and security schemes to the spec, sort and group its tags,
+ * leaving out tags of filtered out operations, then let the application
+ * customize it via the `swaggerResources` event.
+ * @returns {Object} The Swagger Object.
+ */
+function finalizeSwaggerObject(loopbackApplication, swaggerObject,
+  definitions, securitySchemes, opts) {
+  if (openapiHelper.isOpenApi3(opts)) {
+    _.assign(swaggerObject.components.schemas, definitions);
+    swaggerObject.components.securitySchemes = securitySchemes;
+  } else {
+    _.assign(swaggerObject.definitions, definitions);
+    swaggerObject.securityDefinitions = securitySchemes;
+  }
+  if (opts.filter) operationFilter.pruneTags(swaggerObject);
+  tagBuilder.organizeTags(swaggerObject, opts);
+  loopbackApplication.emit('swaggerResources', swaggerObject);
+
+  if (opts.validate) {
+    specValidator.checkSwaggerSpec(swaggerObject, opts.validate);
+  }
+  return swaggerObject;
+}
+
+/**
+ * Load the ACLs and role mappings persisted in the app's data sources
+ * which apply to the documented models.
+ * @param {Application} loopbackApplication The application to document.
+ * @returns {Promise} Resolves with the dynamic access, see
+ *   `aclHelper.loadDynamicAccess`.
+ */
+function loadDynamicAccess(loopbackApplication) {
+  return Promise.resolve().then(function() {
+    var loopbackRegistry = getLoopbackRegistry(loopbackApplication);
+    var models = _.filter(_.map(loopbackApplication.remotes().classes(),
+      'ctor'), 'modelName');
+    return aclHelper.loadDynamicAccess(
+      findModel(loopbackApplication, loopbackRegistry, 'ACL'),
+      findModel(loopbackApplication, loopbackRegistry, 'Role'),
+      findModel(loopbackApplication, loopbackRegistry, 'RoleMapping'),
+      models
+    );
+  });
+}
+
+function getLoopbackRegistry(loopbackApplication) {
+  return loopbackApplication.registry ||
+    loopbackApplication.loopback.registry ||
+    loopbackApplication.loopback;
+}
+
+function findModel(loopbackApplication, loopbackRegistry, modelName) {
+  return loopbackApplication.models[modelName] ||
+    loopbackRegistry.findModel(modelName);
+}
+
+/**
+ * Match documented routes with their classes and resolve who can
+ * invoke them.
+ * @param {Array} routes Routes of the REST adapter.
+ * @param {Array} classes Strong Remoting classes.
+ * @param {Function} ACL The ACL model class, if any.
+ * @param {Object} [dynamicAccess] Persisted ACLs and role mappings.
+ * @returns {Array} Operations described by `route`, `classDef`,
+ *   `sharedMethod` and `access`.
+ */
+function collectOperations(routes, classes, ACL, dynamicAccess) {
+  var operations = [];
   routes.forEach(function(route) {
     if (!route.documented) return;
 
@@ -106,26 +311,79 @@ module.exports = function createSwaggerObject(loopbackApplication, opts) {
       g.error('Route exists with no class: %j', route);
       return;
     }
-    const ACL = loopbackApplication.models.ACL;
-    const acls = ACL.getStaticACLs(className, routeParts[1]);
-    routeHelper.addRouteToSwaggerPaths(route, classDef,
-      typeRegistry, operationIdRegistry,
-      swaggerObject.paths, acls, opts);
+
+    var sharedMethod = aclHelper.findSharedMethod(classDef, route);
+    if (sharedMethod && sharedMethod.responses) {
+      // Routes only carry the metadata known to strong-remoting
+      route = _.assign({responses: sharedMethod.responses}, route);
+    }
+    operations.push({
+      route: route,
+      classDef: classDef,
+      sharedMethod: sharedMethod,
+      access: ACL && sharedMethod && classDef.ctor ?
+        aclHelper.resolveAccess(ACL, classDef.ctor, sharedMethod,
+          dynamicAccess) :
+        undefined,
+    });
   });
+  return operations;
+}
 
-  _.assign(swaggerObject.definitions, typeRegistry.getDefinitions());
-  swaggerObject.securityDefinitions = {
-    'bearer': {
-     type: 'apiKey',
-     'in': 'header',
-     name: 'Authorization'
-     }
-  }
-  loopbackApplication.emit('swaggerResources', swaggerObject);
+/**
+ * Describe the `accessScopes` of remote methods as the scopes of an OAuth2
+ * scheme: the first OAuth2 scheme declared by the app, or a new `oauth2`
+ * scheme using the login method of the first user model as its token URL.
+ * Nothing is added unless a documented method declares `accessScopes`.
+ * Swagger 2.0 requires an absolute token URL, the scheme is not added
+ * when the host of the API is not known.
+ *
+ * @param {Object} schemes Security schemes keyed by name, modified in place.
+ * @param {Array} operations Operations built by `collectOperations`.
+ * @param {Object} opts Generator options.
+ * @returns {String} Name of the scheme, or undefined.
+ */
+function addAccessScopesScheme(schemes, operations, opts) {
+  var hasAccessScopes = operations.some(function(operation) {
+    return operation.sharedMethod && operation.sharedMethod.accessScopes;
+  });
+  if (!hasAccessScopes) return undefined;
 
+  var scopes = {};
+  operations.forEach(function(operation) {
+    if (!operation.access || operation.access.isPublic) return;
+    operation.access.scopes.forEach(function(scope) {
+      scopes[scope] = g.f('Tokens granted the %s scope', scope);
+    });
+  });
 
-  return swaggerObject;
-};
+  var name = securityBuilder.findOAuth2Scheme(schemes,
+    opts.rolesAsScopes || true);
+  if (!name) {
+    var login = _.find(operations, function(operation) {
+      var ctor = operation.classDef.ctor;
+      return operation.sharedMethod && operation.sharedMethod.isStatic &&
+        operation.sharedMethod.name === 'login' &&
+        !!ctor && typeof ctor.prototype.createAccessToken === 'function';
+    });
+    var tokenUrl = (opts.basePath + (login ? login.route.path : '/login'))
+      .replace(/\/+/g, '/');
+    // OpenAPI 3.x resolves relative URLs against the servers
+    if (!openapiHelper.isOpenApi3(opts)) {
+      if (!opts.host) {
+        g.warn('{{Swagger}}: the {{host}} is required to describe ' +
+          '{{accessScopes}} by an {{OAuth2}} scheme, ignoring them.');
+        return undefined;
+      }
+      tokenUrl = (opts.protocol || 'http') + '://' + opts.host + tokenUrl;
+    }
+    name = 'oauth2';
+    schemes[name] = securityBuilder.buildPasswordScheme(tokenUrl,
+      openapiHelper.isOpenApi3(opts));
+  }
+  securityBuilder.addScopes(schemes[name], scopes);
+  return name;
+}
 
 /**
  * Generate a top-level resource doc. This is the entry point for swagger UI
@@ -155,23 +413,60 @@ function generateSwaggerObjectBase(opts, swaggerSpecExtensions) {
   if (basePath && /\/$/.test(basePath))
     basePath = basePath.slice(0, -1);
 
+  if (openapiHelper.isOpenApi3(opts)) {
+    return generateOpenApiObjectBase(opts, swaggerSpecExtensions, apiInfo,
+      basePath);
+  }
+
   return _.defaults({
     swagger: '2.0',
     info: apiInfo,
     basePath: basePath,
     paths: {},
-    tags: [],
+    tags: _.cloneDeep(swaggerSpecExtensions.tags) || [],
   }, swaggerSpecExtensions, {
     host: opts.host,
     schemes: opts.protocol ? [opts.protocol] : undefined,
     consumes: opts.consumes,
     produces: opts.produces,
     definitions: opts.models || {},
-    // TODO Authorizations (security, securityDefinitions)
     // TODO: responses, externalDocs
   });
 }
 
+/**
+ * Generate the top-level OpenAPI 3.x object. Swagger 2.0 fields describing
+ * the API location (`host`, `basePath`, `schemes`) are turned into `servers`,
+ * media types are described per operation.
+ * @param {Object} opts Swagger options.
+ * @param {Object} swaggerSpecExtensions swagger spec extensions.
+ * @param {Object} apiInfo Info Object.
+ * @param {String} basePath Path prefix of all API endpoints.
+ * @return {Object}
+ */
+function generateOpenApiObjectBase(opts, swaggerSpecExtensions, apiInfo,
+  basePath) {
+  var host = swaggerSpecExtensions.host || opts.host;
+  var schemes = swaggerSpecExtensions.schemes ||
+    (opts.protocol ? [opts.protocol] : undefined);
+  var extensions = _.omit(swaggerSpecExtensions, [
+    'swagger', 'host', 'basePath', 'schemes', 'consumes', 'produces',
+    'definitions', 'securityDefinitions',
+  ]);
+
+  return _.defaults({
+    openapi: opts.openapi,
+    info: apiInfo,
+    paths: {},
+    tags: _.cloneDeep(extensions.tags) || [],
+    components: _.defaults({}, extensions.components, {
+      schemas: opts.models || {},
+    }),
+  }, extensions, {
+    servers: openapiHelper.buildServers(host, basePath, schemes),
+  });
+}
+
 function getPackagePropertyOrDefault(name, defautValue) {
   try {
     var pkg = require(path.join(process.cwd(), 'package.json'));
@@ -5,22 +5,132 @@
 
 'use strict';
 
+var _ = require('lodash');
 var typeConverter = require('./type-converter');
 
-exports.buildTagFromClass = function(sharedClass) {
+// Group of the tags which don't declare one
+var DEFAULT_TAG_GROUP = 'Other';
+
+// Properties of built tags which are not part of the Tag Object
+var GROUPING_PROPERTIES = ['group', 'order'];
+var BUILT_PROPERTIES = GROUPING_PROPERTIES.concat('generated');
+
+/**
+ * @param {SharedClass} sharedClass Strong Remoting class.
+ * @returns {String} Name of the tag of the class operations.
+ */
+exports.getTagName = function(sharedClass) {
+  var modelSettings = sharedClass.ctor && sharedClass.ctor.settings;
+  var swaggerSettings = modelSettings && modelSettings.swagger || {};
+  return swaggerSettings.tag && swaggerSettings.tag.name || sharedClass.name;
+};
+
+/**
+ * Build the tag of a class. Besides the Tag Object fields, the tag
+ * carries the `group` and `order` it is listed with, configured in the
+ * `swagger.tag` model settings or in the `tagSettings` option, keyed by
+ * tag name, and the `generated` flag telling it apart from the tags
+ * declared by the application.
+ *
+ * @param {SharedClass} sharedClass Strong Remoting class.
+ * @param {Object} opts Options.
+ * @returns {Object}
+ */
+exports.buildTagFromClass = function(sharedClass, opts) {
   var modelSettings = sharedClass.ctor && sharedClass.ctor.settings;
   var sharedCtor = sharedClass.ctor && sharedClass.ctor.sharedCtor;
   var swaggerSettings = modelSettings && modelSettings.swagger || {};
-  var name = swaggerSettings.tag && swaggerSettings.tag.name || sharedClass.name;
+  var name = exports.getTagName(sharedClass);
 
   var description = modelSettings && modelSettings.description ||
     sharedCtor && sharedCtor.description;
 
   var externalDocs = swaggerSettings.tag && swaggerSettings.tag.externalDocs;
 
+  var appSettings = opts && opts.tagSettings && opts.tagSettings[name];
+  var grouping = _.defaults({},
+    _.pick(swaggerSettings.tag, GROUPING_PROPERTIES),
+    _.pick(appSettings, GROUPING_PROPERTIES));
+
   return {
     name: name,
     description: typeConverter.convertText(description),
     externalDocs: externalDocs,
+    group: grouping.group,
+    order: grouping.order,
+    generated: true,
   };
 };
+
+/**
+ * Sort tags by their `order`, then by name. Tags without `order` are
+ * listed after the others.
+ *
+ * @param {Array} tags Tags as built by `buildTagFromClass`.
+ * @returns {Array} The sorted tags.
+ */
+exports.sortTags = function(tags) {
+  return _.sortBy(tags, [
+    function(tag) {
+      return typeof tag.order === 'number' ? tag.order : Infinity;
+    },
+    'name',
+  ]);
+};
+
+/**
+ * Build the `x-tagGroups` vendor extension listing the tags by group.
+ * Groups are listed in the order of their first tag, followed by the
+ * `defaultTagGroup` (`Other` by default) collecting tags which don't
+ * declare a group.
+ *
+ * @param {Array} tags Sorted tags.
+ * @param {Object} opts Options.
+ * @returns {Array|undefined} The tag groups, `undefined` when no tag
+ *   declares a group.
+ */
+exports.buildTagGroups = function(tags, opts) {
+  if (!_.some(tags, 'group')) return undefined;
+
+  var defaultGroup = opts && opts.defaultTagGroup || DEFAULT_TAG_GROUP;
+  var groups = [];
+  var fallback = {name: defaultGroup, tags: []};
+  tags.forEach(function(tag) {
+    var group = fallback;
+    if (tag.group && tag.group !== defaultGroup) {
+      group = _.find(groups, {name: tag.group});
+      if (!group) {
+        group = {name: tag.group, tags: []};
+        groups.push(group);
+      }
+    }
+    group.tags.push(tag.name);
+  });
+  if (fallback.tags.length) groups.push(fallback);
+  return groups;
+};
+
+/**
+ * Sort the tags of a Swagger Object, add their groups unless the
+ * application configured `x-tagGroups` itself and reduce the tags to
+ * Tag Objects. Tags declared by the application are listed first, in
+ * their given order, followed by the sorted tags of the classes not
+ * declared by the application.
+ *
+ * @param {Object} swaggerObject The Swagger Object.
+ * @param {Object} opts Options.
+ */
+exports.organizeTags = function(swaggerObject, opts) {
+  var declared = _.reject(swaggerObject.tags, 'generated');
+  var generated = _.filter(swaggerObject.tags, function(tag) {
+    return tag.generated && !_.some(declared, {name: tag.name});
+  });
+  var tags = declared.concat(exports.sortTags(generated));
+  if (!swaggerObject['x-tagGroups']) {
+    var tagGroups = exports.buildTagGroups(tags, opts);
+    if (tagGroups) swaggerObject['x-tagGroups'] = tagGroups;
+  }
+  swaggerObject.tags = tags.map(function(tag) {
+    return tag.generated ? _.omit(tag, BUILT_PROPERTIES) : tag;
+  });
+};
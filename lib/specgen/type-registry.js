@@ -9,13 +9,57 @@
 var g = require('strong-globalize')();
 
 var _ = require('lodash');
+var openapiHelper = require('./openapi-helper');
 
 module.exports = TypeRegistry;
 
-function TypeRegistry() {
+// Schemas of `error.details` in the envelopes of errors sent by
+// strong-error-handler, keyed by the name of the envelope definition
+var ERROR_DETAILS = {
+  Error: {
+    type: 'object',
+    description: 'Additional details of the error',
+  },
+  ValidationError: {
+    type: 'object',
+    properties: {
+      context: {type: 'string', description: 'Name of the model'},
+      codes: {
+        type: 'object',
+        description: 'Codes of the failed validations keyed by property',
+        additionalProperties: {type: 'array', items: {type: 'string'}},
+      },
+      messages: {
+        type: 'object',
+        description: 'Messages of the failed validations keyed by property',
+        additionalProperties: {type: 'array', items: {type: 'string'}},
+      },
+    },
+  },
+};
+
+/**
+ * Registry of types and models referenced by the generated spec.
+ *
+ * @param {Object} opts Generator options, `opts.openapi` switches
+ *   references and built-in types to OpenAPI 3.x format.
+ */
+function TypeRegistry(opts) {
   this._definitions = Object.create(null);
   this._referenced = Object.create(null);
+  // Model schemas already built, with the types they reference
+  this._built = Object.create(null);
   this._loopbackTypeMap = Object.create(null);
+  // Names of the definitions of anonymous object types by their schema
+  this._anonymousTypes = Object.create(null);
+  // Names of the error envelopes not replaced by models
+  this._errorTypes = Object.create(null);
+  // Types whose schemas use each anonymous type, keyed by its name
+  this._anonymousOwners = Object.create(null);
+  // Name of the type whose schema is being built
+  this._building = undefined;
+  this._openapi = openapiHelper.isOpenApi3(opts) ? opts.openapi : undefined;
+  this._refPrefix = this._openapi ? '#/components/schemas/' : '#/definitions/';
 
   this.registerLoopbackType('x-any', {properties: {}});
   this.registerLoopbackType('ObjectID', {type: 'string', pattern: '^[a-fA-F\\d]{24}$'});
@@ -26,9 +70,110 @@ function TypeRegistry() {
     },
   });
   this.registerLoopbackType('DateString', {type: 'string', format: 'date-time'});
-  this.registerLoopbackType('file', {type: 'file'});
+  this.registerLoopbackType('file', this.getFileSchema());
+  for (var errorType in ERROR_DETAILS) {
+    this._registerErrorType(errorType);
+  }
+}
+
+/**
+ * Build the schema of the error envelope sent by strong-error-handler.
+ * @param {Object} details Schema of `error.details`.
+ * @returns {Object}
+ */
+function buildErrorSchema(details) {
+  return {
+    type: 'object',
+    required: ['error'],
+    properties: {
+      error: {
+        type: 'object',
+        required: ['statusCode', 'name', 'message'],
+        properties: {
+          statusCode: {type: 'integer', format: 'int32'},
+          name: {type: 'string'},
+          message: {type: 'string'},
+          code: {type: 'string'},
+          details: details,
+          stack: {
+            type: 'string',
+            description: 'Stack trace, only sent in debug mode',
+          },
+        },
+      },
+    },
+  };
 }
 
+/**
+ * Describe an error envelope as an ordinary definition, which models
+ * of the same name registered later replace.
+ * @param {String} name Name of the envelope, see `ERROR_DETAILS`.
+ */
+TypeRegistry.prototype._registerErrorType = function(name) {
+  var schema = buildErrorSchema(_.cloneDeep(ERROR_DETAILS[name]));
+  this.registerModel(name, function() {
+    return schema;
+  });
+  this._errorTypes[name] = true;
+};
+
+/**
+ * @param {String} typeName
+ * @returns {Boolean} True when the type is an error envelope which
+ *   a model of the same name may replace.
+ */
+TypeRegistry.prototype.isErrorType = function(typeName) {
+  return !!this._errorTypes[typeName];
+};
+
+/**
+ * @returns {Boolean} True when the registry produces OpenAPI 3.x schemas.
+ */
+TypeRegistry.prototype.isOpenApi3 = function() {
+  return !!this._openapi;
+};
+
+/**
+ * @returns {Boolean} True when the registry produces OpenAPI 3.1 schemas,
+ *   i.e. JSON Schema 2020-12.
+ */
+TypeRegistry.prototype.isOpenApi31 = function() {
+  return this.isOpenApi3() && /^3\.1(\.|$)/.test(this._openapi);
+};
+
+/**
+ * @param {String} modelName
+ * @returns {String} Name of the definition describing the data of new
+ *   instances of the model, generated for operation scoped models.
+ *   Names of OpenAPI 3.x components cannot contain `$`.
+ */
+TypeRegistry.prototype.getNewModelName = function(modelName) {
+  return this.isOpenApi3() ? 'New' + modelName : '$new_' + modelName;
+};
+
+/**
+ * @param {String} modelName
+ * @returns {String} Name of the definition describing the data of partial
+ *   updates of the model, generated for operation scoped models.
+ */
+TypeRegistry.prototype.getPartialModelName = function(modelName) {
+  return this.isOpenApi3() ? modelName + 'Partial' : '$partial_' + modelName;
+};
+
+/**
+ * @returns {Object} Schema describing binary file content.
+ */
+TypeRegistry.prototype.getFileSchema = function() {
+  if (this.isOpenApi31()) {
+    return {type: 'string', contentMediaType: 'application/octet-stream'};
+  }
+  if (this.isOpenApi3()) {
+    return {type: 'string', format: 'binary'};
+  }
+  return {type: 'file'};
+};
+
 TypeRegistry.prototype.registerLoopbackType = function(typeName, definition) {
   var typeNameLowerCase = typeName.toLowerCase();
   this._loopbackTypeMap[typeNameLowerCase] = typeName;
@@ -36,9 +181,48 @@ TypeRegistry.prototype.registerLoopbackType = function(typeName, definition) {
 };
 
 TypeRegistry.prototype.registerModel = function(typeName, definitionFn) {
+  delete this._errorTypes[typeName];
   this._definitions[typeName] = definitionFn;
 };
 
+/**
+ * Register the schema of an anonymous object type, e.g. a model property
+ * of type `{street: String, city: String}`. Structurally identical types
+ * share a single definition, types named explicitly share the definitions
+ * of the same name only.
+ * @param {String} typeName Preferred name of the definition.
+ * @param {Object} definition Schema Object.
+ * @param {Boolean} [explicit] True when the name was given explicitly.
+ * @returns {String} Name of the definition describing the type.
+ */
+TypeRegistry.prototype.registerAnonymousType = function(typeName, definition,
+  explicit) {
+  var key = JSON.stringify(definition);
+  var names = this._anonymousTypes[key] = this._anonymousTypes[key] || [];
+  var name;
+  if (names.length && !explicit) {
+    name = names[0];
+  } else if (names.indexOf(typeName) !== -1) {
+    name = typeName;
+  } else {
+    name = typeName;
+    for (var i = 2; this.isDefined(name); i++) {
+      name = typeName + '_' + i;
+    }
+    names.push(name);
+    this.registerModel(name, function() {
+      return definition;
+    });
+  }
+
+  if (this._building) {
+    var owners = this._anonymousOwners[name] =
+      this._anonymousOwners[name] || [];
+    if (owners.indexOf(this._building) === -1) owners.push(this._building);
+  }
+  return name;
+};
+
 TypeRegistry.prototype.reference = function(typeName) {
   var refName = typeName;
   var typeNameLowerCase = typeName.toLowerCase();
@@ -46,7 +230,18 @@ TypeRegistry.prototype.reference = function(typeName) {
     refName = this._loopbackTypeMap[typeNameLowerCase];
   }
   this._referenced[refName] = true;
-  return '#/definitions/' + refName;
+  return this._refPrefix + refName;
+};
+
+/**
+ * @param {String} ref A reference built by `reference()`.
+ * @returns {String|undefined} The name of the referenced type.
+ */
+TypeRegistry.prototype.getReferencedType = function(ref) {
+  if (typeof ref !== 'string' || ref.indexOf(this._refPrefix) !== 0) {
+    return undefined;
+  }
+  return ref.slice(this._refPrefix.length);
 };
 
 TypeRegistry.prototype._buildDefinitionsFrom = function(definitionObj) {
@@ -64,7 +259,7 @@ TypeRegistry.prototype._buildDefinitionsFrom = function(definitionObj) {
         }
       } else {
         if (!defs[name] && this._definitions[name]) {
-          defs[name] = this._definitions[name]();
+          defs[name] = this._buildModelDefinition(name);
         }
       }
     }
@@ -73,6 +268,100 @@ TypeRegistry.prototype._buildDefinitionsFrom = function(definitionObj) {
   return defs;
 };
 
+TypeRegistry.prototype._buildModelDefinition = function(name) {
+  var built = this._built[name];
+  if (!built) {
+    var referenced = this._referenced;
+    var references = this._referenced = Object.create(null);
+    var building = this._building;
+    this._building = name;
+    try {
+      built = {definition: this._definitions[name]()};
+    } finally {
+      this._referenced = referenced;
+      this._building = building;
+    }
+    built.references = Object.keys(references);
+    this._built[name] = built;
+  }
+  // Types referenced by the model are needed whenever the model is
+  // referenced, even when its schema comes from the cache
+  built.references.forEach(function(ref) {
+    this._referenced[ref] = true;
+  }, this);
+  return built.definition;
+};
+
+/**
+ * Forget a model, e.g. because it was redefined. The model is also removed
+ * from the references, variants generated for operation scoped models and
+ * relations, and the schemas of its filters are forgotten as well.
+ * Anonymous types are forgotten when no other type uses them.
+ * @param {String} name The model name.
+ */
+TypeRegistry.prototype.unregisterModel = function(name) {
+  var typeNames = [
+    name, this.getNewModelName(name), this.getPartialModelName(name),
+    '$input_' + name,
+    name + 'WithRelations',
+    name + '.Filter', name + '.Where',
+  ];
+  typeNames.forEach(this._forgetType, this);
+  if (name in ERROR_DETAILS) {
+    // The envelope is described again when the model is gone
+    this._registerErrorType(name);
+  }
+
+  for (var anonymousName in this._anonymousOwners) {
+    var owners = _.difference(this._anonymousOwners[anonymousName],
+      typeNames);
+    if (owners.length) {
+      this._anonymousOwners[anonymousName] = owners;
+      continue;
+    }
+    delete this._anonymousOwners[anonymousName];
+    this._forgetType(anonymousName);
+    for (var key in this._anonymousTypes) {
+      _.pull(this._anonymousTypes[key], anonymousName);
+      if (!this._anonymousTypes[key].length) delete this._anonymousTypes[key];
+    }
+  }
+};
+
+TypeRegistry.prototype._forgetType = function(typeName) {
+  delete this._definitions[typeName];
+  delete this._built[typeName];
+  delete this._referenced[typeName];
+};
+
+/**
+ * Run a function and collect the types it references.
+ * @param {Function} fn
+ * @returns {Array} Names of the referenced types.
+ */
+TypeRegistry.prototype.collectReferences = function(fn) {
+  var referenced = this._referenced;
+  var references = this._referenced = Object.create(null);
+  try {
+    fn();
+  } finally {
+    this._referenced = referenced;
+  }
+  Object.assign(referenced, references);
+  return Object.keys(references);
+};
+
+/**
+ * Replace the referenced types, e.g. after some operations were removed.
+ * @param {Array} names Names of the referenced types.
+ */
+TypeRegistry.prototype.setReferences = function(names) {
+  this._referenced = Object.create(null);
+  names.forEach(function(name) {
+    this._referenced[name] = true;
+  }, this);
+};
+
 TypeRegistry.prototype.getDefinitions = function() {
   var defs = this._buildDefinitionsFrom(this._referenced);
 
@@ -7,6 +7,7 @@
 
 /* global describe, it */
 var schemaParser = require('../../lib/codegen/json-schema');
+var generateModels = require('../../index').generateModels;
 var spec = require('./pet-expanded.json');
 var expect = require('chai').expect;
 
@@ -22,4 +23,95 @@ describe('json schema converter', function() {
     expect(models.newPet).have.property('base', 'pet');
     expect(models.newPet.properties).have.property('kind');
   });
+
+  describe('discriminators', function() {
+    it('should handle Swagger 2.0 discriminators', function() {
+      var models = schemaParser({
+        Payment: {
+          discriminator: 'type',
+          required: ['type'],
+          properties: {type: {type: 'string'}, amount: {type: 'number'}},
+        },
+        CardPayment: {
+          'x-discriminator-value': 'card',
+          allOf: [
+            {$ref: '#/definitions/Payment'},
+            {properties: {last4: {type: 'string'}}},
+          ],
+        },
+      });
+      expect(models.Payment.swagger).to.eql({
+        discriminator: {propertyName: 'type', mapping: {card: 'CardPayment'}},
+      });
+      expect(models.CardPayment).have.property('base', 'Payment');
+    });
+
+    it('should handle OpenAPI 3.x discriminators', function() {
+      var models = schemaParser({
+        Payment: {
+          oneOf: [
+            {$ref: '#/components/schemas/CardPayment'},
+            {$ref: '#/components/schemas/BankPayment'},
+          ],
+          discriminator: {
+            propertyName: 'type',
+            mapping: {card: '#/components/schemas/CardPayment'},
+          },
+        },
+        CardPayment: {
+          properties: {type: {type: 'string'}, last4: {type: 'string'}},
+        },
+        BankPayment: {
+          properties: {type: {type: 'string'}, iban: {type: 'string'}},
+        },
+      });
+      expect(models.Payment.swagger.discriminator).to.eql({
+        propertyName: 'type',
+        mapping: {card: 'CardPayment', BankPayment: 'BankPayment'},
+      });
+      expect(models.Payment.properties).to.have.keys(['type']);
+      expect(models.CardPayment).have.property('base', 'Payment');
+      expect(models.CardPayment.properties).to.have.keys(['last4']);
+      expect(models.BankPayment.properties).to.have.keys(['iban']);
+    });
+
+    it('should map subtypes listed by anyOf by their name', function() {
+      var models = schemaParser({
+        Payment: {
+          anyOf: [
+            {$ref: '#/components/schemas/CardPayment'},
+            {$ref: '#/components/schemas/BankPayment'},
+          ],
+          discriminator: {propertyName: 'type'},
+        },
+        CardPayment: {properties: {last4: {type: 'string'}}},
+        BankPayment: {properties: {iban: {type: 'string'}}},
+      });
+      expect(models.Payment.swagger.discriminator.mapping).to.eql({
+        CardPayment: 'CardPayment',
+        BankPayment: 'BankPayment',
+      });
+      expect(models.BankPayment).have.property('base', 'Payment');
+    });
+
+    it('should read the schemas of OpenAPI 3.x specs', function() {
+      var models = generateModels({
+        openapi: '3.0.3',
+        info: {title: 'Payments', version: '1.0.0'},
+        paths: {},
+        components: {
+          schemas: {
+            Payment: {
+              oneOf: [{$ref: '#/components/schemas/CardPayment'}],
+              discriminator: {propertyName: 'type'},
+            },
+            CardPayment: {properties: {last4: {type: 'string'}}},
+          },
+        },
+      });
+      expect(models.Payment.swagger.discriminator.mapping)
+        .to.eql({CardPayment: 'CardPayment'});
+      expect(models.CardPayment).have.property('base', 'Payment');
+    });
+  });
 });
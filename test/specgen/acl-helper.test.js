@@ -0,0 +1,251 @@
+// Copyright IBM Corp. 2020. All Rights Reserved.
+// Node module: loopback-swagger
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+var aclHelper = require('../../lib/specgen/acl-helper');
+var loopback = require('loopback');
+var expect = require('chai').expect;
+
+describe('acl-helper', function() {
+  describe('resolveAccess', function() {
+    it('allows methods matched by a wildcard ALLOW rule', function() {
+      var access = resolveAccess({}, [
+        {principalType: 'ROLE', principalId: '$everyone', permission: 'ALLOW',
+          property: '*'},
+      ], 'find');
+      expect(access.isPublic).to.equal(true);
+    });
+
+    it('prefers exact property matches over wildcards', function() {
+      var access = resolveAccess({}, [
+        {principalType: 'ROLE', principalId: '$everyone', permission: 'ALLOW'},
+        {principalType: 'ROLE', principalId: '$everyone', permission: 'DENY',
+          property: 'deleteById'},
+      ], 'deleteById');
+      expect(access.isPublic).to.equal(false);
+      expect(access.permissions).to.eql({
+        unauthenticated: 'DENY',
+        authenticated: 'DENY',
+      });
+    });
+
+    it('honours accessType rules', function() {
+      var acls = [
+        {principalType: 'ROLE', principalId: '$everyone', permission: 'DENY'},
+        {principalType: 'ROLE', principalId: '$everyone', permission: 'ALLOW',
+          accessType: 'READ'},
+      ];
+      var find = resolveAccess({}, acls, 'find');
+      expect(find.accessType).to.equal('READ');
+      expect(find.isPublic).to.equal(true);
+
+      var create = resolveAccess({}, acls, 'create');
+      expect(create.accessType).to.equal('WRITE');
+      expect(create.isPublic).to.equal(false);
+    });
+
+    it('distinguishes authenticated and unauthenticated callers', function() {
+      var access = resolveAccess({}, [
+        {principalType: 'ROLE', principalId: '$everyone', permission: 'DENY'},
+        {principalType: 'ROLE', principalId: '$authenticated',
+          permission: 'ALLOW'},
+      ], 'find');
+      expect(access.permissions).to.eql({
+        unauthenticated: 'DENY',
+        authenticated: 'ALLOW',
+      });
+    });
+
+    it('matches ACLs of prototype methods', function() {
+      var access = resolveAccess({}, [
+        {principalType: 'ROLE', principalId: '$everyone', permission: 'DENY'},
+        {principalType: 'ROLE', principalId: '$everyone', permission: 'ALLOW',
+          property: 'patchAttributes'},
+      ], 'prototype.patchAttributes');
+      expect(access.isPublic).to.equal(true);
+    });
+
+    it('matches ACLs registered under method aliases', function() {
+      var access = resolveAccess({}, [
+        {principalType: 'ROLE', principalId: '$everyone', permission: 'DENY'},
+        {principalType: 'ROLE', principalId: '$everyone', permission: 'ALLOW',
+          property: 'upsert'},
+      ], 'patchOrCreate');
+      expect(access.isPublic).to.equal(true);
+    });
+
+    it('applies ACLs inherited from base models', function() {
+      var app = loopback({localRegistry: true, loadBuiltinModels: true});
+      app.dataSource('db', {connector: 'memory'});
+      var Customer = app.registry.createModel('Customer', {}, {base: 'User'});
+      app.model(Customer, {dataSource: 'db'});
+
+      var login = aclHelper.resolveAccess(app.registry.getModel('ACL'),
+        Customer, findSharedMethod(Customer, 'login'));
+      expect(login.isPublic).to.equal(true);
+
+      var findById = aclHelper.resolveAccess(app.registry.getModel('ACL'),
+        Customer, findSharedMethod(Customer, 'findById'));
+      expect(findById.isPublic).to.equal(false);
+    });
+
+    it('resolves the permission of each principal', function() {
+      var access = resolveAccess({}, [
+        {principalType: 'ROLE', principalId: '$everyone', permission: 'DENY'},
+        {principalType: 'ROLE', principalId: 'admin', permission: 'ALLOW'},
+        {principalType: 'ROLE', principalId: 'auditor', permission: 'ALLOW',
+          accessType: 'READ'},
+        {principalType: 'USER', principalId: 42, permission: 'ALLOW'},
+      ], 'deleteById');
+      expect(access.principals).to.eql({
+        allow: [
+          {principalType: 'ROLE', principalId: 'admin'},
+          {principalType: 'USER', principalId: '42'},
+        ],
+        deny: [
+          {principalType: 'ROLE', principalId: '$unauthenticated'},
+          {principalType: 'ROLE', principalId: '$authenticated'},
+          {principalType: 'ROLE', principalId: 'auditor'},
+        ],
+      });
+      expect(aclHelper.getAllowedRoles(access)).to.eql(['admin']);
+    });
+
+    it('applies $authenticated rules to other principals', function() {
+      var access = resolveAccess({}, [
+        {principalType: 'ROLE', principalId: '$everyone', permission: 'DENY'},
+        {principalType: 'ROLE', principalId: '$authenticated',
+          permission: 'ALLOW'},
+        {principalType: 'ROLE', principalId: 'guest', permission: 'DENY'},
+        {principalType: 'ROLE', principalId: '$owner', permission: 'ALLOW'},
+      ], 'find');
+      expect(aclHelper.getAllowedRoles(access))
+        .to.eql(['$authenticated', '$owner']);
+      expect(access.principals.deny).to.eql([
+        {principalType: 'ROLE', principalId: '$unauthenticated'},
+        {principalType: 'ROLE', principalId: 'guest'},
+      ]);
+    });
+
+    it('denies anonymous callers of methods with custom scopes', function() {
+      var app = loopback({localRegistry: true, loadBuiltinModels: true});
+      app.dataSource('db', {connector: 'memory'});
+      var Model = app.registry.createModel('ScopedModel');
+      app.model(Model, {dataSource: 'db'});
+      Model.export = function(cb) {};
+      Model.remoteMethod('export', {accessScopes: ['export']});
+
+      var access = aclHelper.resolveAccess(app.registry.getModel('ACL'),
+        Model, findSharedMethod(Model, 'export'));
+      expect(access.scopes).to.eql(['export']);
+      expect(access.isPublic).to.equal(false);
+      expect(access.permissions.authenticated).to.equal('ALLOW');
+    });
+
+    it('uses the model default permission when no ACL matches', function() {
+      var access = resolveAccess({defaultPermission: 'DENY'}, [], 'find');
+      expect(access.isPublic).to.equal(false);
+    });
+  });
+
+  describe('getMappedRoles', function() {
+    var memberships = aclHelper.buildMemberships([
+      {id: 1, name: 'admin'},
+      {id: 2, name: 'editor'},
+      {id: 3, name: 'author'},
+    ], [
+      {principalType: 'USER', principalId: '42', roleId: 3},
+      {principalType: 'ROLE', principalId: 3, roleId: 2},
+      {principalType: 'ROLE', principalId: 2, roleId: 1},
+      {principalType: 'USER', principalId: '42', roleId: 99},
+    ]);
+
+    it('follows role mappings transitively', function() {
+      expect(aclHelper.getMappedRoles(memberships,
+        {principalType: 'USER', principalId: 42}))
+        .to.eql(['author', 'editor', 'admin']);
+    });
+
+    it('identifies role principals by name', function() {
+      expect(aclHelper.getMappedRoles(memberships,
+        {principalType: 'ROLE', principalId: 'editor'}))
+        .to.eql(['admin']);
+    });
+  });
+
+  describe('loadDynamicAccess', function() {
+    var app, Model;
+    beforeEach(function() {
+      app = loopback({localRegistry: true, loadBuiltinModels: true});
+      app.dataSource('db', {connector: 'memory'});
+      ['ACL', 'Role', 'RoleMapping'].forEach(function(name) {
+        app.model(app.registry.getModel(name), {dataSource: 'db'});
+      });
+      Model = app.registry.createModel('AclTestModel', {}, {acls: [
+        {principalType: 'USER', principalId: 7, permission: 'ALLOW'},
+      ]});
+      app.model(Model, {dataSource: 'db'});
+      return app.models.ACL.create([
+        {model: 'AclTestModel', principalType: 'USER', principalId: '8'},
+        {model: '*', principalType: 'ROLE', principalId: 'admin'},
+        {model: 'Other', principalType: 'ROLE', principalId: 'admin'},
+      ]).then(function() {
+        return app.models.Role.create([
+          {name: 'admin'},
+          {name: 'editor'},
+          {name: 'unused'},
+        ]);
+      }).then(function(roles) {
+        return app.models.RoleMapping.create([
+          {principalType: 'ROLE', principalId: roles[1].id, roleId: roles[0].id},
+          {principalType: 'USER', principalId: '7', roleId: roles[1].id},
+          {principalType: 'USER', principalId: '8', roleId: roles[0].id},
+          {principalType: 'USER', principalId: '9', roleId: roles[0].id},
+        ]);
+      });
+    });
+
+    it('loads the ACLs of the given models', function() {
+      return load().then(function(access) {
+        expect(access.acls.map(function(acl) {
+          return acl.model;
+        })).to.have.members(['AclTestModel', '*']);
+      });
+    });
+
+    it('loads role mappings of roles and of principals named by ACLs',
+      function() {
+        return load().then(function(access) {
+          expect(access.memberships).to.eql({
+            'ROLE:editor': ['admin'],
+            'USER:7': ['editor'],
+            'USER:8': ['admin'],
+          });
+        });
+      });
+
+    function load() {
+      return aclHelper.loadDynamicAccess(app.models.ACL, app.models.Role,
+        app.models.RoleMapping, [Model]);
+    }
+  });
+
+  function resolveAccess(settings, acls, methodName) {
+    var app = loopback({localRegistry: true, loadBuiltinModels: true});
+    app.dataSource('db', {connector: 'memory'});
+    settings.acls = acls;
+    var Model = app.registry.createModel('AclTestModel', {}, settings);
+    app.model(Model, {dataSource: 'db'});
+    return aclHelper.resolveAccess(app.registry.getModel('ACL'), Model,
+      findSharedMethod(Model, methodName));
+  }
+
+  function findSharedMethod(Model, methodName) {
+    return Model.sharedClass.methods().filter(function(method) {
+      return method.stringName === Model.modelName + '.' + methodName;
+    })[0];
+  }
+});
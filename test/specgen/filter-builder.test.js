@@ -0,0 +1,167 @@
+// Copyright IBM Corp. 2020. All Rights Reserved.
+// Node module: loopback-swagger
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+var _ = require('lodash');
+var loopback = require('loopback');
+var filterBuilder = require('../../lib/specgen/filter-builder');
+var modelHelper = require('../../lib/specgen/model-helper');
+var TypeRegistry = require('../../lib/specgen/type-registry');
+var expect = require('chai').expect;
+
+describe('filter-builder', function() {
+  var Product, Category;
+  beforeEach(function() {
+    var ds = loopback.createDataSource({connector: 'memory'});
+    Category = ds.createModel('Category', {name: 'string'});
+    Product = ds.createModel('Product', {
+      name: 'string',
+      price: 'number',
+      created: 'date',
+      secret: 'string',
+      tags: ['string'],
+    }, {hidden: ['secret']});
+    Product.belongsTo(Category);
+  });
+
+  describe('buildFilterSchema', function() {
+    it('lists property names in fields and order', function() {
+      var schema = filterBuilder.buildFilterSchema(Product, new TypeRegistry());
+      var names = ['name', 'price', 'created', 'tags', 'id', 'categoryId'];
+      var fields = schema.properties.fields['x-oneOf'];
+      expect(fields[0]).to.eql({type: 'string', enum: names});
+      expect(fields[1].items.enum).to.eql(names);
+      expect(fields[2].properties).to.have.keys(names);
+      expect(fields[2].properties.name).to.eql({type: 'boolean'});
+      var order = schema.properties.order['x-oneOf'];
+      var pattern = new RegExp(order[0].pattern);
+      expect(pattern.test('price DESC')).to.equal(true);
+      expect(pattern.test('name')).to.equal(true);
+      expect(pattern.test('secret ASC')).to.equal(false);
+      expect(order[1]).to.eql({type: 'array', items: order[0]});
+    });
+
+    it('describes the forms of fields and order in OpenAPI 3.x', function() {
+      var schema = filterBuilder.buildFilterSchema(Product,
+        new TypeRegistry({openapi: '3.0.3'}));
+      expect(schema.properties.fields.oneOf.map(_.property('type')))
+        .to.eql(['string', 'array', 'object']);
+      expect(schema.properties.order.oneOf.map(_.property('type')))
+        .to.eql(['string', 'array']);
+    });
+
+    it('references the where schema', function() {
+      var schema = filterBuilder.buildFilterSchema(Product, new TypeRegistry());
+      expect(schema.properties.where)
+        .to.eql({$ref: '#/definitions/Product.Where'});
+      expect(schema.properties.limit).to.eql({type: 'integer', minimum: 0});
+      expect(schema.properties).to.have.property('skip');
+      expect(schema.properties).to.have.property('offset');
+    });
+
+    it('describes included relations in Swagger 2.0', function() {
+      var schema = filterBuilder.buildFilterSchema(Product, new TypeRegistry());
+      var include = schema.properties.include['x-oneOf'];
+      expect(include[0]).to.eql({type: 'string', enum: ['category']});
+      expect(include[2].properties.relation)
+        .to.eql({type: 'string', enum: ['category']});
+      expect(include[3].items['x-oneOf']).to.eql(include.slice(0, 3));
+    });
+
+    it('describes included relations with their scope in OpenAPI 3.x',
+      function() {
+        var typeRegistry = new TypeRegistry({openapi: '3.0.3'});
+        modelHelper.registerModelDefinition(Category, typeRegistry);
+        var schema = filterBuilder.buildFilterSchema(Product, typeRegistry);
+        var forms = [
+          {type: 'string', enum: ['category']},
+          {
+            type: 'object',
+            properties: {
+              category: {
+                description: 'Relations of the related model to include',
+              },
+            },
+            additionalProperties: false,
+          },
+          {
+            type: 'object',
+            required: ['relation'],
+            properties: {
+              relation: {type: 'string', enum: ['category']},
+              scope: {$ref: '#/components/schemas/Category.Filter'},
+            },
+          },
+        ];
+        expect(schema.properties.include.oneOf).to.eql(forms.concat({
+          type: 'array',
+          items: {oneOf: forms},
+        }));
+      });
+
+    it('omits include when the model has no relations', function() {
+      var schema = filterBuilder.buildFilterSchema(Category,
+        new TypeRegistry());
+      expect(schema.properties).to.not.have.property('include');
+    });
+  });
+
+  describe('buildWhereSchema', function() {
+    var schema;
+    beforeEach(function() {
+      schema = filterBuilder.buildWhereSchema(Product, new TypeRegistry());
+    });
+
+    it('combines conditions with and/or', function() {
+      expect(schema.properties.and).to.eql({
+        type: 'array',
+        items: {$ref: '#/definitions/Product.Where'},
+      });
+      expect(schema.properties).to.have.property('or');
+    });
+
+    it('describes operators by property type', function() {
+      var price = schema.properties.price.properties;
+      expect(price.gt).to.eql({type: 'number'});
+      expect(price.inq).to.eql({type: 'array', items: {type: 'number'}});
+      expect(price.between).to.have.property('maxItems', 2);
+      expect(price).to.not.have.property('like');
+      expect(schema.properties.created.properties.between.items)
+        .to.eql({type: 'string', format: 'date-time'});
+      expect(schema.properties.name.properties).to.include.keys(
+        ['like', 'nlike', 'ilike', 'nilike', 'regexp']
+      );
+      expect(schema.properties.name.properties).to.not.have.property('gt');
+      expect(schema.properties.tags.properties).to.have.keys(
+        ['neq', 'inq', 'nin', 'exists']
+      );
+    });
+
+    it('describes near conditions on GeoPoint properties', function() {
+      var ds = loopback.createDataSource({connector: 'memory'});
+      var Store = ds.createModel('Store', {location: 'GeoPoint'});
+      var where = filterBuilder.buildWhereSchema(Store, new TypeRegistry());
+      var location = where.properties.location.properties;
+      expect(location.near).to.eql({$ref: '#/definitions/GeoPoint'});
+      expect(location).to.have.property('maxDistance');
+      expect(location.unit.enum).to.contain('kilometers');
+    });
+
+    it('accepts literals or operators in OpenAPI 3.x', function() {
+      var where = filterBuilder.buildWhereSchema(Product,
+        new TypeRegistry({openapi: '3.0.3'}));
+      var price = where.properties.price;
+      expect(price.anyOf[0]).to.eql({type: 'number'});
+      expect(price.anyOf[1]).to.have.property('type', 'object');
+      expect(price.anyOf[1].properties).to.have.property('between');
+      expect(where.properties.tags).to.not.have.property('anyOf');
+    });
+
+    it('excludes hidden properties', function() {
+      expect(schema.properties).to.not.have.property('secret');
+    });
+  });
+});
@@ -0,0 +1,130 @@
+// Copyright IBM Corp. 2020. All Rights Reserved.
+// Node module: loopback-swagger
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+var http = require('http');
+var yaml = require('js-yaml');
+var loopback = require('loopback');
+var createSpecMiddleware = require('../../lib/specgen/middleware');
+var expect = require('chai').expect;
+
+describe('middleware', function() {
+  var app, server;
+
+  beforeEach(function(done) {
+    app = loopback();
+    app.dataSource('db', {connector: 'memory'});
+    var Product = loopback.createModel('Product', {name: 'string'});
+    app.model(Product, {dataSource: 'db'});
+    app.use('/api', loopback.rest());
+    app.use('/explorer', createSpecMiddleware(app));
+    server = app.listen(0, done);
+  });
+
+  afterEach(function(done) {
+    server.close(done);
+  });
+
+  it('serves the spec as JSON', function() {
+    return get('/explorer/swagger.json').then(function(res) {
+      expect(res.statusCode).to.equal(200);
+      expect(res.headers['content-type']).to.match(/^application\/json/);
+      expect(JSON.parse(res.body)).to.have.nested.property('paths./Products');
+    });
+  });
+
+  it('serves the spec as YAML', function() {
+    return get('/explorer/swagger.yaml').then(function(res) {
+      expect(res.statusCode).to.equal(200);
+      expect(res.headers['content-type']).to.match(/^application\/yaml/);
+      expect(yaml.safeLoad(res.body)).to.have.property('swagger', '2.0');
+    });
+  });
+
+  it('negotiates the format from the Accept header', function() {
+    return get('/explorer', {accept: 'text/yaml'}).then(function(res) {
+      expect(res.headers['content-type']).to.match(/^application\/yaml/);
+      expect(res.headers.vary).to.equal('Accept');
+      return get('/explorer', {accept: 'application/json'});
+    }).then(function(res) {
+      expect(res.headers['content-type']).to.match(/^application\/json/);
+    });
+  });
+
+  it('answers conditional requests with 304', function() {
+    return get('/explorer/swagger.json').then(function(res) {
+      expect(res.headers.etag).to.match(/^"[0-9a-f]+"$/);
+      return get('/explorer/swagger.json', {'if-none-match': res.headers.etag});
+    }).then(function(res) {
+      expect(res.statusCode).to.equal(304);
+      expect(res.body).to.equal('');
+    });
+  });
+
+  it('regenerates the spec when models are added', function() {
+    var etag;
+    return get('/explorer/swagger.json').then(function(res) {
+      etag = res.headers.etag;
+      var Category = loopback.createModel('Category', {name: 'string'});
+      app.model(Category, {dataSource: 'db'});
+      return get('/explorer/swagger.json', {'if-none-match': etag});
+    }).then(function(res) {
+      expect(res.statusCode).to.equal(200);
+      expect(res.headers.etag).to.not.equal(etag);
+      expect(JSON.parse(res.body)).to.have.nested.property('paths./Categories');
+    });
+  });
+
+  it('regenerates the spec when remote methods are disabled', function() {
+    return get('/explorer/swagger.json').then(function(res) {
+      app.models.Product.disableRemoteMethodByName('deleteById');
+      return get('/explorer/swagger.json');
+    }).then(function(res) {
+      var spec = JSON.parse(res.body);
+      expect(spec.paths['/Products/{id}']).to.not.have.property('delete');
+    });
+  });
+
+  it('passes other requests to the next middleware', function() {
+    app.get('/explorer/index.html', function(req, res) {
+      res.send('explorer');
+    });
+    return get('/explorer/index.html').then(function(res) {
+      expect(res.body).to.equal('explorer');
+      return get('/explorer/unknown.json');
+    }).then(function(res) {
+      expect(res.statusCode).to.equal(404);
+    });
+  });
+
+  it('serves the spec at the configured paths', function() {
+    app.use('/docs', createSpecMiddleware(app, {specPaths: '/openapi.json'}));
+    return get('/docs/openapi.json').then(function(res) {
+      expect(res.statusCode).to.equal(200);
+      return get('/docs/swagger.json');
+    }).then(function(res) {
+      expect(res.statusCode).to.equal(404);
+    });
+  });
+
+  function get(path, headers) {
+    return new Promise(function(resolve, reject) {
+      http.get({
+        port: server.address().port,
+        path: path,
+        headers: headers,
+      }, function(res) {
+        var body = '';
+        res.setEncoding('utf8');
+        res.on('data', function(chunk) { body += chunk; });
+        res.on('end', function() {
+          res.body = body;
+          resolve(res);
+        });
+      }).on('error', reject);
+    });
+  }
+});
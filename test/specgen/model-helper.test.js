@@ -140,12 +140,364 @@ describe('model-helper', function() {
     expect(defs.test.properties.prop1.description).to.equal('1\n2\n3');
   });
 
+  it('registers anonymous property types', function() {
+    var Customer = loopback.createModel('Customer', {
+      address: {type: {street: String, city: String}},
+    });
+    var defs = getDefinitionsForModel(Customer);
+    expect(defs.Customer.properties.address)
+      .to.eql({$ref: '#/definitions/Customer_address'});
+    expect(defs.Customer_address.properties).to.have.keys(['street', 'city']);
+  });
+
   it('omits empty "required" array', function() {
     var aClass = createModelCtor({});
     var def = getDefinitionsForModel(aClass.ctor).testModel;
     expect(def).to.not.have.property('required');
   });
 
+  describe('property access', function() {
+    var Note;
+    beforeEach(function() {
+      Note = loopback.createModel('Note', {
+        title: {type: 'string', required: true},
+        created: {type: 'date', defaultFn: 'now', required: true},
+        owner: 'string',
+        secret: {type: 'string', required: true},
+        token: {type: 'string', readOnly: true},
+      }, {protected: ['owner'], hidden: ['secret', 'token']});
+    });
+
+    function getDefinitions(openapi) {
+      var registry = new TypeRegistry({openapi: openapi});
+      modelHelper.registerModelDefinition(Note, registry);
+      registry.reference('Note');
+      registry.reference('$input_Note');
+      return registry.getDefinitions();
+    }
+
+    it('classifies properties', function() {
+      expect(['title', 'created', 'owner', 'secret', 'token', 'id'].map(
+        function(key) { return modelHelper.getPropertyAccess(Note, key); }
+      )).to.eql([
+        'readWrite', 'readOnly', 'readOnly', 'writeOnly', 'none', 'readOnly',
+      ]);
+    });
+
+    it('marks read-only and write-only properties in OpenAPI 3.x', function() {
+      var defs = getDefinitions('3.0.3');
+      var props = defs.Note.properties;
+      expect(props.created).to.have.property('readOnly', true);
+      expect(props.id).to.have.property('readOnly', true);
+      expect(props.secret).to.have.property('writeOnly', true);
+      expect(props).to.not.have.property('token');
+      expect(defs.Note.required).to.eql(['title', 'created', 'secret']);
+      expect(defs).to.not.have.property('$input_Note');
+    });
+
+    it('describes write-only properties by request models in Swagger 2.0',
+      function() {
+        var defs = getDefinitions();
+        expect(defs.Note.properties).to.not.have.property('secret');
+        expect(defs.Note.properties.owner).to.have.property('readOnly', true);
+        expect(defs.Note.required).to.eql(['title']);
+        expect(defs.$input_Note.properties.secret).to.eql({type: 'string'});
+        expect(defs.$input_Note.required).to.eql(['title', 'secret']);
+      });
+
+    it('references models of read-only properties by allOf', function() {
+      var Author = loopback.createModel('Author', {name: 'string'});
+      Note.defineProperty('author', {type: Author});
+      Note.settings.protected = ['owner', 'author'];
+      var props = getDefinitions('3.0.3').Note.properties;
+      expect(props.author).to.eql({
+        allOf: [{$ref: '#/components/schemas/Author'}],
+        readOnly: true,
+      });
+    });
+
+    it('keeps sibling keywords of references in OpenAPI 3.1', function() {
+      var Author = loopback.createModel('Author', {name: 'string'});
+      Note.defineProperty('author', {type: Author});
+      Note.settings.protected = ['owner', 'author'];
+      var props = getDefinitions('3.1.0').Note.properties;
+      expect(props.author).to.eql({
+        $ref: '#/components/schemas/Author',
+        readOnly: true,
+      });
+    });
+  });
+
+  describe('validations', function() {
+    var Model;
+    beforeEach(function() {
+      Model = loopback.createModel('ValidatedModel', {
+        name: 'string',
+        code: 'string',
+        tags: ['string'],
+        kind: 'string',
+        count: 'number',
+        email: 'string',
+        location: 'GeoPoint',
+      });
+    });
+
+    function getDefinition(openapi) {
+      var registry = new TypeRegistry({openapi: openapi});
+      modelHelper.registerModelDefinition(Model, registry);
+      registry.reference('ValidatedModel');
+      return registry.getDefinitions().ValidatedModel;
+    }
+
+    it('converts length validations', function() {
+      Model.validatesLengthOf('name', {min: 2, max: 20});
+      Model.validatesLengthOf('code', {is: 4});
+      Model.validatesLengthOf('tags', {max: 5});
+      var props = getDefinition().properties;
+      expect(props.name).to.include({minLength: 2, maxLength: 20});
+      expect(props.code).to.include({minLength: 4, maxLength: 4});
+      expect(props.tags).to.include({maxItems: 5});
+    });
+
+    it('converts format validations', function() {
+      Model.validatesFormatOf('code', {with: /^[A-Z]+$/});
+      expect(getDefinition().properties.code)
+        .to.have.property('pattern', '^[A-Z]+$');
+    });
+
+    it('converts inclusion and exclusion validations', function() {
+      Model.validatesInclusionOf('kind', {in: ['a', 'b']});
+      Model.validatesExclusionOf('name', {in: ['admin']});
+      var props = getDefinition().properties;
+      expect(props.kind).to.have.property('enum').eql(['a', 'b']);
+      expect(props.name).to.have.property('x-not').eql({enum: ['admin']});
+      expect(getDefinition('3.0.3').properties.name)
+        .to.have.property('not').eql({enum: ['admin']});
+    });
+
+    it('converts integer numericality validations', function() {
+      Model.validatesNumericalityOf('count', {int: true});
+      expect(getDefinition().properties.count).to.eql({type: 'integer'});
+    });
+
+    it('converts presence validations', function() {
+      Model.validatesPresenceOf('email');
+      expect(getDefinition().required).to.eql(['email']);
+    });
+
+    it('lists validations which cannot be expressed', function() {
+      Model.validatesUniquenessOf('email', {message: 'taken'});
+      Model.validatesFormatOf('name', {with: /^a/i});
+      Model.validatesLengthOf('code', {min: 2, if: 'isNewRecord'});
+      Model.validatesInclusionOf('location', {in: []});
+      var def = getDefinition();
+      expect(def['x-loopback-validations']).to.deep.include({
+        email: [{validation: 'uniqueness', message: 'taken'}],
+        name: [{validation: 'format', with: '/^a/i'}],
+        code: [{validation: 'length', min: 2, if: 'isNewRecord'}],
+        location: [{validation: 'inclusion', in: []}],
+      });
+      expect(def.properties.code).to.not.have.property('minLength');
+    });
+  });
+
+  describe('model inheritance', function() {
+    var Animal, Dog;
+    beforeEach(function() {
+      Animal = loopback.createModel('Animal', {
+        name: {type: 'string', required: true},
+        legs: 'number',
+      });
+      Dog = Animal.extend('Dog', {
+        breed: 'string',
+        legs: 'string',
+        good: {type: 'boolean', required: true},
+      });
+    });
+
+    function getDefinitions(opts) {
+      var registry = new TypeRegistry(opts);
+      modelHelper.registerModelDefinition(Dog, registry,
+        _defaults({generateModelInheritance: true}, opts));
+      registry.reference('Dog');
+      return registry.getDefinitions();
+    }
+
+    it('describes models by their base and own properties', function() {
+      var def = getDefinitions().Dog;
+      expect(def).to.not.have.property('properties');
+      expect(def.allOf).to.eql([
+        {$ref: '#/definitions/Animal'},
+        {
+          properties: {
+            breed: {type: 'string'},
+            legs: {type: 'string'},
+            good: {type: 'boolean'},
+          },
+          required: ['good'],
+        },
+      ]);
+    });
+
+    it('includes the base models', function() {
+      var defs = getDefinitions({openapi: '3.0.3'});
+      expect(defs.Dog.allOf[0]).to.eql({$ref: '#/components/schemas/Animal'});
+      expect(defs.Animal.properties).to.have.keys(['name', 'legs', 'id']);
+      expect(defs.Animal).to.not.have.property('additionalProperties');
+    });
+
+    it('keeps additionalProperties of models outside of hierarchies',
+      function() {
+        var Owner = loopback.createModel('Owner', {name: 'string'});
+        var registry = new TypeRegistry();
+        modelHelper.registerModelDefinition(Owner, registry,
+          {generateModelInheritance: true});
+        registry.reference('Owner');
+        expect(registry.getDefinitions().Owner.additionalProperties)
+          .to.equal(false);
+      });
+
+    it('stops at built-in base models', function() {
+      expect(modelHelper.getBaseModel(Dog)).to.equal(Animal);
+      expect(modelHelper.getBaseModel(Animal)).to.equal(undefined);
+    });
+
+    it('flattens inherited properties by default', function() {
+      var def = getDefinitionsForModel(Dog).Dog;
+      expect(def).to.not.have.property('allOf');
+      expect(def.properties).to.include.keys(['name', 'breed']);
+    });
+  });
+
+  describe('embedded relations', function() {
+    var Customer, Address, Tag;
+    beforeEach(function() {
+      var ds = loopback.createDataSource({connector: 'memory'});
+      Address = ds.createModel('Address', {street: 'string'});
+      Tag = ds.createModel('Tag', {code: {type: 'string', id: true}});
+      Customer = ds.createModel('Customer', {name: 'string'});
+    });
+
+    it('documents the persisted relation properties', function() {
+      Customer.embedsMany(Address, {as: 'addresses', property: 'addressList'});
+      Customer.embedsOne(Address, {as: 'billing', property: 'billingAddress'});
+      Customer.referencesMany(Tag);
+      var props = getDefinitionsForModel(Customer).Customer.properties;
+      expect(props.addressList).to.eql({
+        type: 'array',
+        items: {$ref: '#/definitions/Address'},
+      });
+      expect(props.billingAddress).to.eql({$ref: '#/definitions/Address'});
+      expect(props.tagIds).to.eql({type: 'array', items: {type: 'string'}});
+    });
+
+    it('documents relations missing from the properties', function() {
+      Customer.relations.addresses = {
+        type: 'embedsMany',
+        keyFrom: 'addressList',
+        modelTo: Address,
+      };
+      Customer.relations.tags = {
+        type: 'referencesMany',
+        keyFrom: 'tagIds',
+        keyTo: 'code',
+        modelTo: Tag,
+      };
+      var defs = getDefinitionsForModel(Customer);
+      expect(defs.Customer.properties.addressList.items)
+        .to.eql({$ref: '#/definitions/Address'});
+      expect(defs.Customer.properties.tagIds.items).to.eql({type: 'string'});
+      expect(defs).to.have.property('Address');
+    });
+  });
+
+  describe('polymorphic models', function() {
+    var Payment, CardPayment, BankPayment;
+    beforeEach(function() {
+      Payment = loopback.createModel('Payment', {
+        type: 'string',
+        amount: 'number',
+      }, {
+        swagger: {
+          discriminator: {
+            propertyName: 'type',
+            mapping: {card: 'CardPayment', BankPayment: 'BankPayment'},
+          },
+        },
+      });
+      CardPayment = Payment.extend('CardPayment', {last4: 'string'});
+      BankPayment = Payment.extend('BankPayment', {iban: 'string'});
+    });
+
+    function getDefinitions(openapi) {
+      var registry = new TypeRegistry({openapi: openapi});
+      modelHelper.registerModelDefinition(Payment, registry);
+      registry.reference('Payment');
+      return registry.getDefinitions();
+    }
+
+    it('reads the discriminator of the polymorphic model only', function() {
+      var discriminator = modelHelper.getDiscriminator(Payment);
+      expect(discriminator.propertyName).to.equal('type');
+      expect(discriminator.mapping).to.eql({
+        card: CardPayment,
+        BankPayment: BankPayment,
+      });
+      expect(modelHelper.getDiscriminator(CardPayment)).to.equal(undefined);
+    });
+
+    it('emits Swagger 2.0 discriminators', function() {
+      var defs = getDefinitions();
+      expect(defs.Payment).to.have.property('discriminator', 'type');
+      expect(defs.Payment.required).to.eql(['type']);
+      expect(defs.Payment).to.not.have.property('additionalProperties');
+      expect(defs.CardPayment.allOf).to.eql([
+        {$ref: '#/definitions/Payment'},
+        {properties: {last4: {type: 'string'}}},
+      ]);
+      expect(defs.CardPayment).to.have.property('x-discriminator-value', 'card');
+      expect(defs.BankPayment).to.not.have.property('x-discriminator-value');
+    });
+
+    it('emits OpenAPI 3.x oneOf and discriminator mapping', function() {
+      var defs = getDefinitions('3.0.3');
+      expect(defs.Payment.oneOf).to.eql([
+        {$ref: '#/components/schemas/CardPayment'},
+        {$ref: '#/components/schemas/BankPayment'},
+      ]);
+      expect(defs.Payment.discriminator).to.eql({
+        propertyName: 'type',
+        mapping: {
+          card: '#/components/schemas/CardPayment',
+          BankPayment: '#/components/schemas/BankPayment',
+        },
+      });
+      expect(defs.Payment).to.not.have.property('properties');
+      expect(defs.CardPayment.properties).to.have.keys(
+        ['last4', 'type', 'amount', 'id']
+      );
+      expect(defs.CardPayment.required).to.eql(['type']);
+    });
+
+    it('maps subtypes which are not mapped by their name', function() {
+      Payment = loopback.createModel('Payment', {type: 'string'}, {
+        swagger: {discriminator: 'type'},
+      });
+      Payment.extend('CardPayment', {last4: 'string'});
+      Payment.extend('BankPayment', {iban: 'string'});
+      var defs = getDefinitions('3.0.3');
+      expect(defs.Payment.oneOf).to.eql([
+        {$ref: '#/components/schemas/CardPayment'},
+        {$ref: '#/components/schemas/BankPayment'},
+      ]);
+      expect(defs.Payment.discriminator.mapping).to.eql({
+        CardPayment: '#/components/schemas/CardPayment',
+        BankPayment: '#/components/schemas/BankPayment',
+      });
+      expect(defs.CardPayment).to.not.have.property('discriminator');
+    });
+  });
+
   describe('property converter', function() {
     it('converts properties with no type to type "any"', function() {
       var model = {};
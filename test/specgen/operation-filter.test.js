@@ -0,0 +1,110 @@
+// Copyright IBM Corp. 2020. All Rights Reserved.
+// Node module: loopback-swagger
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+var _ = require('lodash');
+var operationFilter = require('../../lib/specgen/operation-filter');
+var expect = require('chai').expect;
+
+describe('operation-filter', function() {
+  var operations;
+  beforeEach(function() {
+    operations = [
+      givenOperation('Farm.find', {}, {isPublic: true}),
+      givenOperation('FarmAudit.find', {swagger: {audience: 'internal'}}),
+      givenOperation('Paddock.find', {swagger: {tag: {name: 'Farms'}}},
+        undefined, {swagger: {audience: ['partner', 'internal']}}),
+      givenOperation('User.login', {swagger: {audience: 'partner'}},
+        {isPublic: false}),
+    ];
+  });
+
+  describe('filterOperations', function() {
+    it('keeps all operations without filter', function() {
+      expect(operationFilter.filterOperations(operations))
+        .to.equal(operations);
+    });
+
+    it('includes operations by tag', function() {
+      expect(filter({include: {tags: ['Farms', 'User']}}))
+        .to.eql(['Paddock.find', 'User.login']);
+    });
+
+    it('excludes operations by model name glob', function() {
+      expect(filter({exclude: {models: '*Audit'}}))
+        .to.eql(['Farm.find', 'Paddock.find', 'User.login']);
+      expect(filter({include: {models: ['Farm?*', 'U*']}}))
+        .to.eql(['FarmAudit.find', 'User.login']);
+    });
+
+    it('includes operations by audience', function() {
+      expect(filter({include: {audience: 'partner'}}))
+        .to.eql(['Paddock.find', 'User.login']);
+      expect(filter({exclude: {audience: 'internal'}}))
+        .to.eql(['Farm.find', 'User.login']);
+    });
+
+    it('includes operations by public access', function() {
+      expect(filter({include: {public: true}}))
+        .to.eql(['Farm.find', 'FarmAudit.find', 'Paddock.find']);
+      expect(filter({exclude: {public: true}})).to.eql(['User.login']);
+    });
+
+    it('matches all criteria', function() {
+      expect(filter({
+        include: {audience: 'partner'},
+        exclude: {models: 'Paddock', audience: 'internal'},
+      })).to.eql(['User.login']);
+    });
+  });
+
+  describe('getAudience', function() {
+    it('prefers the audience of the remote method', function() {
+      expect(operationFilter.getAudience(operations[2]))
+        .to.eql(['partner', 'internal']);
+      expect(operationFilter.getAudience(operations[1])).to.eql(['internal']);
+      expect(operationFilter.getAudience(operations[0])).to.eql([]);
+    });
+  });
+
+  describe('pruneTags', function() {
+    it('removes tags of classes no operation uses', function() {
+      var swaggerObject = {
+        tags: [
+          {name: 'Zeta'},
+          {name: 'Farm', generated: true},
+          {name: 'User', generated: true},
+        ],
+        paths: {
+          '/Farms': {
+            parameters: [],
+            get: {tags: ['Farm']},
+          },
+        },
+      };
+      operationFilter.pruneTags(swaggerObject);
+      expect(swaggerObject.tags).to.eql([
+        {name: 'Zeta'},
+        {name: 'Farm', generated: true},
+      ]);
+    });
+  });
+
+  function filter(criteria) {
+    var filtered = operationFilter.filterOperations(operations, criteria);
+    return _.map(filtered, 'route.method');
+  }
+
+  function givenOperation(method, settings, access, methodOptions) {
+    var className = method.split('.')[0];
+    return {
+      route: {method: method},
+      classDef: {name: className, ctor: {settings: settings}},
+      sharedMethod: methodOptions || {},
+      access: access,
+    };
+  }
+});
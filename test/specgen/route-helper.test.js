@@ -96,6 +96,61 @@ describe('route-helper', function() {
       });
   });
 
+  it('describes returns targeting headers as response headers', function() {
+    var entry = createAPIDoc({
+      returns: [
+        {arg: 'data', type: 'string', root: true},
+        {arg: 'count', type: 'number', description: 'Total count',
+          http: {target: 'header', header: 'X-Total-Count'}},
+        {arg: 'modified', type: 'date', http: {target: 'header'}},
+        {arg: 'meta', type: 'object', http: {target: 'header'}},
+      ],
+    });
+    expect(getResponseMessage(entry.operation).headers).to.eql({
+      'X-Total-Count': {
+        type: 'number',
+        format: 'double',
+        description: 'Total count',
+      },
+      modified: {type: 'string', format: 'date-time'},
+      meta: {type: 'string'},
+    });
+  });
+
+  it('describes header schemas in OpenAPI 3.x', function() {
+    var entry = createAPIDoc({
+      returns: [
+        {arg: 'location', type: 'string', http: {target: 'header',
+          header: 'Location'}},
+      ],
+    }, null, new TypeRegistry({openapi: '3.0.3'}), {openapi: '3.0.3'});
+    expect(entry.operation.responses[200].headers).to.eql({
+      Location: {schema: {type: 'string'}},
+    });
+  });
+
+  it('adds responses for the status codes of a status return', function() {
+    var entry = createAPIDoc({
+      returns: [
+        {arg: 'data', type: 'string', root: true},
+        {arg: 'status', type: 'number', enum: [200, 202, 204, 409],
+          http: {target: 'status'}},
+        {arg: 'etag', type: 'string', http: {target: 'header',
+          header: 'ETag'}},
+      ],
+    });
+    var responses = entry.operation.responses;
+    expect(responses).to.have.keys(['200', '202', '204', '409']);
+    expect(responses[202]).to.eql(responses[200]);
+    expect(responses[204]).to.have.property('headers')
+      .eql({ETag: {type: 'string'}});
+    expect(responses[204].schema).to.equal(undefined);
+    expect(responses[409]).to.eql({
+      description: 'Unknown error',
+      schema: {$ref: '#/definitions/Error'},
+    });
+  });
+
   it('does not produce required array if no required property is defined', function() {
     var TestModel = loopback.createModel('TestModel', {street: String});
     var entry = createAPIDoc({
@@ -132,7 +187,7 @@ describe('route-helper', function() {
     var paramDoc = entry.operation.parameters[0];
     expect(paramDoc).to.have.property('type', 'file');
     expect(paramDoc).to.have.property('in', 'formData');
-    expect(paramDoc).to.have.property('allowMultiple', false);
+    expect(paramDoc).to.not.have.property('allowMultiple');
     expect(paramDoc).to.have.property('description', 'File to upload');
   });
 
@@ -460,6 +515,83 @@ describe('route-helper', function() {
     expect(doc.schema).to.equal(undefined);
   });
 
+  describe('responses metadata', function() {
+    it('merges declared responses with the success response', function() {
+      var doc = createAPIDoc({
+        returns: [{arg: 'data', type: 'string', root: true}],
+        responses: {
+          200: {
+            description: 'The message',
+            headers: {'X-Rate-Limit': 'number'},
+            examples: {'text/plain': 'hello'},
+          },
+        },
+      });
+      expect(doc.operation.responses[200]).to.eql({
+        description: 'The message',
+        schema: {type: 'string'},
+        headers: {'X-Rate-Limit': {type: 'number', format: 'double'}},
+        examples: {'text/plain': 'hello'},
+      });
+    });
+
+    it('describes bodies by LDL type or model', function() {
+      var doc = createAPIDoc({
+        responses: {
+          201: {description: 'Created', model: 'Product'},
+          409: {description: 'Conflict', type: ['string']},
+          404: 'Not found',
+        },
+      });
+      var responses = doc.operation.responses;
+      expect(responses[201]).to.eql({
+        description: 'Created',
+        schema: {$ref: '#/definitions/Product'},
+      });
+      expect(responses[409]).to.eql({
+        description: 'Conflict',
+        schema: {type: 'array', items: {type: 'string'}},
+      });
+      expect(responses[404]).to.eql({
+        description: 'Not found',
+        schema: {$ref: '#/definitions/Error'},
+      });
+    });
+
+    it('overrides responses described by `errors`', function() {
+      var doc = createAPIDoc({
+        errors: [{code: 422, message: 'Validation failed',
+          responseModel: 'ValidationError'}],
+        responses: {
+          422: {headers: {'Retry-After': {type: 'number',
+            description: 'Seconds'}}},
+        },
+      });
+      expect(doc.operation.responses[422]).to.eql({
+        description: 'Validation failed',
+        schema: {$ref: '#/definitions/ValidationError'},
+        headers: {
+          'Retry-After': {type: 'number', format: 'double',
+            description: 'Seconds'},
+        },
+      });
+    });
+
+    it('builds OpenAPI 3.x content from examples', function() {
+      var doc = createAPIDoc({
+        responses: {
+          default: {description: 'Error', model: 'Error',
+            examples: {'application/json': {message: 'oops'}}},
+        },
+      }, null, new TypeRegistry({openapi: '3.0.3'}), {openapi: '3.0.3'});
+      var content = doc.operation.responses.default.content;
+      expect(content['application/json']).to.eql({
+        schema: {$ref: '#/components/schemas/Error'},
+        example: {message: 'oops'},
+      });
+    });
+  });
+
   it('includes custom http status code and override default ' +
     'success code in `responseMessages`', function() {
     var doc = createAPIDoc({
@@ -487,6 +619,7 @@ describe('route-helper', function() {
     expect(Object.keys(responses)).to.eql(['201', '404']);
     expect(responses['404']).to.eql({
       description: 'Unknown error',
+      schema: {$ref: '#/definitions/Error'},
     });
   });
 
@@ -521,6 +654,7 @@ describe('route-helper', function() {
     });
     expect(doc.operation.responses).to.have.property(508).eql({
       description: 'Unknown error',
+      schema: {$ref: '#/definitions/Error'},
     });
   });
 
@@ -546,6 +680,31 @@ describe('route-helper', function() {
     expect(param).to.have.property('format', 'JSON');
   });
 
+  it('converts arrays of objects to JSON strings', function() {
+    var doc = createAPIDoc({
+      accepts: [{arg: 'filters', type: ['object'], http: {source: 'query'}}],
+    });
+    var param = doc.operation.parameters[0];
+    expect(param).to.eql({
+      name: 'filters',
+      in: 'query',
+      description: undefined,
+      required: false,
+      type: 'string',
+      format: 'JSON',
+    });
+  });
+
+  it('keeps arrays of primitive types', function() {
+    var doc = createAPIDoc({
+      accepts: [{arg: 'ids', type: ['number'], http: {source: 'query'}}],
+    });
+    var param = doc.operation.parameters[0];
+    expect(param).to.have.property('type', 'array');
+    expect(param).to.have.property('items')
+      .eql({type: 'number', format: 'double'});
+  });
+
   it('converts single "data" body arg to Model type', function() {
     var doc = createAPIDoc(
       {
@@ -588,14 +747,14 @@ describe('route-helper', function() {
 });
 
 // Easy wrapper around createRoute
-function createAPIDoc(def, classDef, typeRegistry) {
+function createAPIDoc(def, classDef, typeRegistry, opts) {
   if (!typeRegistry) typeRegistry = new TypeRegistry();
 
   return routeHelper.routeToPathEntry(_defaults(def || {}, {
     path: '/test',
     verb: 'GET',
     method: 'test.get',
-  }), classDef, typeRegistry, Object.create(null));
+  }), classDef, typeRegistry, Object.create(null), undefined, opts);
 }
 
 function getResponseMessage(operationDoc) {
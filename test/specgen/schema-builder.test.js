@@ -147,6 +147,8 @@ describe('schema-builder', function() {
       out: {type: 'string', description: 'line1\nline2'}},
     {in: {type: String, required: true},
       out: {type: 'string'}}, // the flag required is handled specially
+    {in: {type: Date, default: Date.now},
+      out: {type: 'string', format: 'date-time'}},
     {in: {type: String, length: 10},
       out: {type: 'string', maxLength: 10}},
     {in: {type: String, length: null},
@@ -186,13 +188,102 @@ describe('schema-builder', function() {
       out: {$ref: '#/definitions/DateString'}},
   ]);
 
-  function describeTestCases(name, testCases) {
+  describeTestCases('for nullable types in OpenAPI 3.0', [
+    {in: {type: String, nullable: true},
+      out: {type: 'string', nullable: true}},
+    {in: {type: String, nullable: 'Y'},
+      out: {type: 'string', nullable: true}},
+    {in: {type: String, nullable: 'N'},
+      out: {type: 'string'}},
+    {in: {type: String, default: null},
+      out: {type: 'string', nullable: true}},
+    {in: {type: 'User', nullable: true},
+      out: {allOf: [{$ref: '#/components/schemas/User'}], nullable: true}},
+    {in: {type: String, const: 'fixed'},
+      out: {type: 'string', enum: ['fixed']}},
+  ], {openapi: '3.0.3'});
+
+  describeTestCases('for OpenAPI 3.1 (JSON Schema 2020-12)', [
+    {in: {type: String, nullable: true},
+      out: {type: ['string', 'null']}},
+    {in: {type: [String], nullable: true},
+      out: {type: ['array', 'null'], items: {type: 'string'}}},
+    {in: {type: String, default: null},
+      out: {type: ['string', 'null'], default: null}},
+    {in: {type: String, enum: ['a', 'b'], nullable: true},
+      out: {type: ['string', 'null'], enum: ['a', 'b', null]}},
+    {in: {type: String, default: {aaa: 'val', bbb: null}},
+      out: {type: 'string', default: {aaa: 'val', bbb: null}}},
+    {in: {type: 'User', nullable: true},
+      out: {anyOf: [{$ref: '#/components/schemas/User'}, {type: 'null'}]}},
+    {in: {type: 'User', description: 'the owner'},
+      out: {$ref: '#/components/schemas/User', description: 'the owner'}},
+    {in: {type: String, example: 'a', examples: ['b', 'c']},
+      out: {type: 'string', examples: ['a', 'b', 'c']}},
+    {in: {type: String, const: 'fixed'},
+      out: {type: 'string', const: 'fixed'}},
+    {in: 'file',
+      out: {type: 'string', contentMediaType: 'application/octet-stream'}},
+  ], {openapi: '3.1.0'});
+
+  describe('anonymous types', function() {
+    var registry, address;
+    beforeEach(function() {
+      registry = new TypeRegistry();
+      address = {type: {street: String, city: String}};
+    });
+
+    function build(ldlDef, typeName) {
+      return schemaBuilder.buildFromLoopBackType(ldlDef, registry,
+        {anonymousTypeName: typeName});
+    }
+
+    it('registers named definitions', function() {
+      expect(build(address, 'Customer_address'))
+        .to.eql({$ref: '#/definitions/Customer_address'});
+      expect(registry.getDefinitions().Customer_address).to.eql({
+        type: 'object',
+        properties: {street: {type: 'string'}, city: {type: 'string'}},
+      });
+    });
+
+    it('names nested types after their parent', function() {
+      build({type: {geo: {type: {lat: Number}}}}, 'Customer_address');
+      expect(registry.getDefinitions()).to.have.keys(
+        ['Customer_address', 'Customer_address_geo']
+      );
+    });
+
+    it('shares definitions of identical types', function() {
+      build(address, 'Customer_address');
+      expect(build(_defaults({}, address), 'Supplier_address'))
+        .to.eql({$ref: '#/definitions/Customer_address'});
+      build({type: {street: String}}, 'Supplier_address');
+      expect(registry.getDefinitions()).to.have.keys(
+        ['Customer_address', 'Supplier_address']
+      );
+    });
+
+    it('uses the swagger.name hint', function() {
+      build(address, 'Customer_address');
+      var schema = build(_defaults({swagger: {name: 'Address'}}, address),
+        'Customer_billing');
+      expect(schema).to.eql({$ref: '#/definitions/Address'});
+    });
+
+    it('keeps types inline without a name', function() {
+      expect(schemaBuilder.buildFromLoopBackType(address, registry))
+        .to.have.property('type', 'object');
+    });
+  });
+
+  function describeTestCases(name, testCases, registryOptions) {
     describe(name, function() {
       testCases.forEach(function(tc) {
         var inStr = formatType(tc.in);
         var outStr = formatType(tc.out);
         it(format('converts %s to %s', inStr, outStr), function() {
-          var registry = new TypeRegistry();
+          var registry = new TypeRegistry(registryOptions);
           var schema = schemaBuilder.buildFromLoopBackType(tc.in, registry);
           expect(schema).to.eql(tc.out);
         });
@@ -0,0 +1,143 @@
+// Copyright IBM Corp. 2020. All Rights Reserved.
+// Node module: loopback-swagger
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+var securityBuilder = require('../../lib/specgen/security-builder');
+var expect = require('chai').expect;
+
+describe('security-builder', function() {
+  describe('buildTokenSchemes', function() {
+    it('describes the default token locations', function() {
+      var schemes = securityBuilder.buildTokenSchemes();
+      expect(schemes).to.eql({
+        'query_access_token': {type: 'apiKey', in: 'query', name: 'access_token'},
+        'header_X-Access-Token': {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-Access-Token',
+        },
+        'bearer': {type: 'apiKey', in: 'header', name: 'Authorization'},
+        'cookie_access_token': {
+          type: 'apiKey',
+          in: 'cookie',
+          name: 'access_token',
+        },
+        'cookie_authorization': {
+          type: 'apiKey',
+          in: 'cookie',
+          name: 'authorization',
+        },
+      });
+    });
+
+    it('honours custom token locations', function() {
+      var schemes = securityBuilder.buildTokenSchemes({
+        headers: ['X-Token'],
+        searchDefaultTokenKeys: false,
+      });
+      expect(schemes).to.eql({
+        'header_X-Token': {type: 'apiKey', in: 'header', name: 'X-Token'},
+      });
+    });
+  });
+
+  describe('buildSecuritySchemes', function() {
+    it('prefers schemes declared in options', function() {
+      var schemes = securityBuilder.buildSecuritySchemes({
+        securityDefinitions: {basicAuth: {type: 'basic'}},
+      }, {}, false);
+      expect(schemes).to.eql({basicAuth: {type: 'basic'}});
+    });
+
+    it('uses schemes declared in app config', function() {
+      var schemes = securityBuilder.buildSecuritySchemes({}, {
+        securityDefinitions: {basicAuth: {type: 'basic'}},
+      }, true);
+      expect(schemes).to.eql({basicAuth: {type: 'http', scheme: 'basic'}});
+    });
+
+    it('describes the Authorization header by default', function() {
+      var schemes = securityBuilder.buildSecuritySchemes({}, {}, true);
+      expect(schemes).to.eql({
+        bearer: {type: 'apiKey', in: 'header', name: 'Authorization'},
+      });
+    });
+
+    it('omits cookie schemes in Swagger 2.0', function() {
+      var schemes = securityBuilder.buildSecuritySchemes({accessToken: {}},
+        {}, false);
+      expect(schemes).to.not.have.property('cookie_access_token');
+      expect(schemes).to.have.property('query_access_token');
+    });
+
+    it('keeps cookie schemes in OpenAPI 3.x', function() {
+      var schemes = securityBuilder.buildSecuritySchemes({accessToken: {}},
+        {}, true);
+      expect(schemes).to.have.property('cookie_access_token');
+    });
+  });
+
+  describe('oauth2 schemes', function() {
+    var SWAGGER_SCHEME = {
+      type: 'oauth2',
+      flow: 'accessCode',
+      authorizationUrl: 'https://example.com/authorize',
+      tokenUrl: 'https://example.com/token',
+      scopes: {read: 'Read access'},
+    };
+    var OPENAPI_SCHEME = {
+      type: 'oauth2',
+      flows: {
+        authorizationCode: {
+          authorizationUrl: 'https://example.com/authorize',
+          tokenUrl: 'https://example.com/token',
+          scopes: {read: 'Read access'},
+        },
+      },
+    };
+
+    it('converts Swagger 2.0 flows to OpenAPI 3.x', function() {
+      expect(securityBuilder.toOpenApiScheme(SWAGGER_SCHEME))
+        .to.eql(OPENAPI_SCHEME);
+    });
+
+    it('converts OpenAPI 3.x flows to Swagger 2.0', function() {
+      expect(securityBuilder.toSwaggerScheme(OPENAPI_SCHEME))
+        .to.eql(SWAGGER_SCHEME);
+    });
+  });
+
+  describe('rolesAsScopes', function() {
+    var schemes = {
+      basicAuth: {type: 'basic'},
+      oauth: {type: 'oauth2', flow: 'implicit', scopes: {}},
+    };
+
+    it('finds the first oauth2 scheme', function() {
+      expect(securityBuilder.findOAuth2Scheme(schemes, true))
+        .to.equal('oauth');
+    });
+
+    it('rejects schemes of other types', function() {
+      expect(securityBuilder.findOAuth2Scheme(schemes, 'basicAuth'))
+        .to.equal(undefined);
+    });
+
+    it('keeps declared scopes', function() {
+      var scheme = {type: 'oauth2', flow: 'implicit', scopes: {read: 'Read'}};
+      securityBuilder.addScopes(scheme, {read: 'Role read', admin: 'Admin'});
+      expect(scheme.scopes).to.eql({read: 'Read', admin: 'Admin'});
+    });
+  });
+
+  it('builds one alternative security requirement per scheme', function() {
+    var requirements = securityBuilder.buildSecurityRequirements({
+      bearer: {type: 'apiKey', in: 'header', name: 'Authorization'},
+      basicAuth: {type: 'basic'},
+    });
+    expect(requirements).to.eql([{bearer: []}, {basicAuth: []}]);
+  });
+});
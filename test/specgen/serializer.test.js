@@ -0,0 +1,111 @@
+// Copyright IBM Corp. 2020. All Rights Reserved.
+// Node module: loopback-swagger
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var yaml = require('js-yaml');
+var loopback = require('loopback');
+var serializer = require('../../lib/specgen/serializer');
+var writeSwaggerSpec = require('../..').writeSwaggerSpec;
+var expect = require('chai').expect;
+
+describe('serializer', function() {
+  var spec = {
+    'x-generator': 'test',
+    paths: {
+      '/b': {post: {responses: {default: {}, 200: {}}}, get: {responses: {}}},
+      '/a': {get: {responses: {}}},
+    },
+    definitions: {Zebra: {}, Ant: {}},
+    info: {title: 'Test', description: 'line 1\nline 2'},
+    swagger: '2.0',
+  };
+
+  describe('sortSpec', function() {
+    var sorted = serializer.sortSpec(spec);
+
+    it('orders root fields like the specification', function() {
+      expect(Object.keys(sorted)).to.eql([
+        'swagger', 'info', 'paths', 'definitions', 'x-generator',
+      ]);
+    });
+
+    it('sorts paths, operations and definitions', function() {
+      expect(Object.keys(sorted.paths)).to.eql(['/a', '/b']);
+      expect(Object.keys(sorted.paths['/b'])).to.eql(['get', 'post']);
+      expect(Object.keys(sorted.definitions)).to.eql(['Ant', 'Zebra']);
+    });
+
+    it('does not modify the spec', function() {
+      expect(Object.keys(spec.paths)).to.eql(['/b', '/a']);
+    });
+  });
+
+  describe('toYAML', function() {
+    it('writes multi-line texts as block scalars', function() {
+      expect(serializer.toYAML(spec))
+        .to.contain('  description: |-\n    line 1\n    line 2\n');
+    });
+
+    it('does not use anchors for shared objects', function() {
+      var shared = {type: 'string'};
+      var output = serializer.toYAML({definitions: {A: shared, B: shared}});
+      expect(output).to.not.match(/[&*]ref/);
+      expect(yaml.safeLoad(output).definitions.B).to.eql(shared);
+    });
+  });
+
+  it('serializes to JSON', function() {
+    var output = serializer.serialize(spec, 'json');
+    expect(JSON.parse(output)).to.eql(spec);
+    expect(output.indexOf('"/a"')).to.be.below(output.indexOf('"/b"'));
+  });
+
+  describe('writeSwaggerSpec', function() {
+    var app, dir;
+    beforeEach(function() {
+      app = loopback();
+      app.dataSource('db', {connector: 'memory'});
+      app.model(loopback.createModel('Product', {name: 'string'}),
+        {dataSource: 'db'});
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'loopback-swagger-'));
+    });
+
+    afterEach(function() {
+      fs.readdirSync(dir).forEach(function(file) {
+        fs.unlinkSync(path.join(dir, file));
+      });
+      fs.rmdirSync(dir);
+    });
+
+    it('writes YAML files', function() {
+      var file = path.join(dir, 'openapi.yaml');
+      return writeSwaggerSpec(app, file, {openapi: '3.0.3'})
+        .then(function(spec) {
+          var written = yaml.safeLoad(fs.readFileSync(file, 'utf8'));
+          expect(written).to.have.property('openapi', '3.0.3');
+          expect(written.paths).to.have.property('/Products');
+        });
+    });
+
+    it('writes JSON files', function() {
+      var file = path.join(dir, 'swagger.json');
+      return writeSwaggerSpec(app, file).then(function(spec) {
+        var written = JSON.parse(fs.readFileSync(file, 'utf8'));
+        expect(written).to.eql(JSON.parse(JSON.stringify(spec)));
+      });
+    });
+
+    it('rejects unknown file extensions', function() {
+      return writeSwaggerSpec(app, path.join(dir, 'swagger.txt')).then(
+        function() { throw new Error('should have failed'); },
+        function(err) { expect(err.message).to.match(/\.yml/); }
+      );
+    });
+  });
+});
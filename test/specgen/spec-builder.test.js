@@ -0,0 +1,157 @@
+// Copyright IBM Corp. 2020. All Rights Reserved.
+// Node module: loopback-swagger
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+var loopback = require('loopback');
+var SpecBuilder = require('../../lib/specgen/spec-builder');
+var createSwaggerObject = require('../../lib/specgen/swagger-spec-generator');
+var routeHelper = require('../../lib/specgen/route-helper');
+var expect = require('chai').expect;
+
+describe('SpecBuilder', function() {
+  var app, builder, builtRoutes;
+  var routeToPathEntry = routeHelper.routeToPathEntry;
+
+  beforeEach(function() {
+    app = loopback({localRegistry: true, loadBuiltinModels: true});
+    app.dataSource('db', {connector: 'memory'});
+    givenModel('Product', {name: 'string', price: 'number'});
+    givenModel('Category', {name: 'string'});
+    app.models.Category.hasMany(app.models.Product);
+    builder = new SpecBuilder(app);
+
+    builtRoutes = [];
+    routeHelper.routeToPathEntry = function(route) {
+      builtRoutes.push(route.method);
+      return routeToPathEntry.apply(this, arguments);
+    };
+  });
+
+  afterEach(function() {
+    routeHelper.routeToPathEntry = routeToPathEntry;
+    builder.dispose();
+  });
+
+  it('builds the same spec as generateSwaggerSpec', function() {
+    expect(builder.build()).to.eql(createSwaggerObject(app));
+  });
+
+  it('reuses operations of unchanged classes', function() {
+    builder.build();
+    builtRoutes = [];
+    var spec = builder.build();
+    expect(builtRoutes).to.eql([]);
+    expect(spec).to.eql(createSwaggerObject(app));
+  });
+
+  it('builds operations of added models', function() {
+    builder.build();
+    builtRoutes = [];
+    givenModel('Supplier', {name: 'string'});
+    var spec = builder.build();
+
+    expect(spec.paths).to.have.property('/Suppliers');
+    expect(spec.definitions).to.have.property('Supplier');
+    expect(builtRoutes).to.have.length.above(0);
+    builtRoutes.forEach(function(method) {
+      expect(method).to.match(/^Supplier\./);
+    });
+    expect(spec).to.eql(createSwaggerObject(app));
+  });
+
+  it('rebuilds classes whose remote methods changed', function() {
+    givenModel('Supplier', {name: 'string'});
+    builder.build();
+    builtRoutes = [];
+    app.models.Product.disableRemoteMethodByName('deleteById');
+    var Category = app.models.Category;
+    Category.summarize = function(cb) {};
+    Category.remoteMethod('summarize', {http: {verb: 'get'}});
+    var spec = builder.build();
+
+    expect(spec.paths['/Products/{id}']).to.not.have.property('delete');
+    expect(spec.paths).to.have.property('/Categories/summarize');
+    expect(builtRoutes).to.have.length.above(0);
+    builtRoutes.forEach(function(method) {
+      expect(method).to.match(/^(Product|Category)\./);
+    });
+    expect(spec).to.eql(createSwaggerObject(app));
+  });
+
+  it('updates definitions of redefined models', function() {
+    builder.build();
+    givenModel('Category', {name: 'string', description: 'string'});
+    var spec = builder.build();
+    expect(spec.definitions.Category.properties)
+      .to.have.property('description');
+    expect(spec).to.eql(createSwaggerObject(app));
+  });
+
+  it('forgets anonymous types of redefined models', function() {
+    givenModel('Category', {address: {type: {street: 'string'}}});
+    builder.build();
+    givenModel('Category', {
+      address: {type: {street: 'string', city: 'string'}},
+    });
+    var spec = builder.build();
+    expect(spec.definitions).to.have.property('Category_address');
+    expect(spec.definitions.Category_address.properties)
+      .to.have.property('city');
+    expect(spec.definitions).to.not.have.property('Category_address_2');
+    expect(spec).to.eql(createSwaggerObject(app));
+  });
+
+  it('takes into account persisted ACLs in buildAsync', function() {
+    ['ACL', 'Role', 'RoleMapping'].forEach(function(name) {
+      app.model(app.registry.getModel(name), {dataSource: 'db', public: false});
+    });
+    builder.build();
+    return app.models.ACL.create({
+      model: 'Product', property: '*', accessType: '*',
+      principalType: 'ROLE', principalId: '$everyone', permission: 'DENY',
+    }).then(function() {
+      return builder.buildAsync();
+    }).then(function(spec) {
+      expect(spec.paths['/Products'].get).to.have.property('security');
+      return createSwaggerObject.createSwaggerObjectAsync(app)
+        .then(function(expected) {
+          expect(spec).to.eql(expected);
+        });
+    });
+  });
+
+  it('rebuilds everything when options change', function() {
+    builder.build();
+    builtRoutes = [];
+    app.set('swagger', {generateOperationScopedModels: true});
+    var spec = builder.build();
+    expect(spec.definitions).to.have.property('$new_Product');
+    expect(builtRoutes).to.have.length.above(0);
+  });
+
+  it('filters operations like generateSwaggerSpec', function() {
+    var opts = {filter: {exclude: {models: 'Category'}}};
+    builder.dispose();
+    builder = new SpecBuilder(app, opts);
+    var spec = builder.build();
+    expect(spec).to.eql(createSwaggerObject(app, opts));
+    expect(spec.paths).to.not.have.property('/Categories');
+    expect(spec.definitions).to.not.have.property('Category');
+  });
+
+  it('does not share objects between built specs', function() {
+    var spec = builder.build();
+    spec.paths['/Products'].get.summary = 'changed';
+    spec.definitions.Product.properties.name.type = 'number';
+    expect(builder.build()).to.eql(createSwaggerObject(app));
+  });
+
+  function givenModel(name, properties) {
+    var Model = app.registry.createModel(name, properties);
+    app.model(Model, {dataSource: 'db'});
+    return Model;
+  }
+});
@@ -0,0 +1,94 @@
+// Copyright IBM Corp. 2020. All Rights Reserved.
+// Node module: loopback-swagger
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+var loopback = require('loopback');
+var createSwaggerObject = require('../../lib/specgen/swagger-spec-generator');
+var validateSwaggerSpec = require('../..').validateSwaggerSpec;
+var expect = require('chai').expect;
+
+describe('validateSwaggerSpec', function() {
+  var app;
+  beforeEach(function() {
+    app = loopback({localRegistry: true, loadBuiltinModels: true});
+    app.dataSource('db', {connector: 'memory'});
+    var Product = app.registry.createModel('Product', {
+      name: 'string',
+      tags: ['string'],
+    });
+    app.model(Product, {dataSource: 'db'});
+    Product.search = function(filter, ids, image, cb) {};
+    Product.remoteMethod('search', {
+      accepts: [
+        {arg: 'where', type: 'object'},
+        {arg: 'ids', type: ['number']},
+        {arg: 'image', type: 'file', http: {source: 'form'}},
+      ],
+      returns: {arg: 'products', type: ['Product'], root: true},
+      http: {verb: 'post'},
+    });
+  });
+
+  it('accepts generated Swagger 2.0 specs', function() {
+    expect(validateSwaggerSpec(createSwaggerObject(app))).to.eql([]);
+  });
+
+  it('accepts generated OpenAPI 3.0 specs', function() {
+    var spec = createSwaggerObject(app, {openapi: '3.0.3'});
+    expect(validateSwaggerSpec(spec)).to.eql([]);
+  });
+
+  it('accepts specs generated for versions without patch number', function() {
+    var spec = createSwaggerObject(app, {openapi: '3.0'});
+    expect(spec).to.have.property('openapi', '3.0.0');
+    expect(validateSwaggerSpec(spec)).to.eql([]);
+  });
+
+  it('reports violations with JSON pointers', function() {
+    var spec = createSwaggerObject(app);
+    spec.paths['/Products'].get.parameters.push({name: 'q', in: 'cookie'});
+    var errors = validateSwaggerSpec(spec);
+    expect(errors).to.have.length.above(0);
+    expect(errors[0]).to.have.property('pointer')
+      .match(/^\/paths\/~1Products\/get\/parameters\//);
+    expect(errors[0]).to.have.keys([
+      'pointer', 'message', 'keyword', 'params', 'schemaPath',
+    ]);
+  });
+
+  it('reports unsupported versions', function() {
+    var spec = createSwaggerObject(app, {openapi: '3.1.0'});
+    var errors = validateSwaggerSpec(spec);
+    expect(errors).to.have.length(1);
+    expect(errors[0]).to.include({pointer: '/openapi', keyword: 'version'});
+    expect(errors[0].message).to.match(/not supported/);
+  });
+
+  describe('validate option', function() {
+    beforeEach(function() {
+      app.on('swaggerResources', function(spec) {
+        spec.info.version = 1;
+      });
+    });
+
+    it('throws on violations', function() {
+      expect(function() {
+        createSwaggerObject(app, {validate: true});
+      }).to.throw(/\/info\/version/)
+        .with.property('details').to.have.length(1);
+    });
+
+    it('only warns in warn mode', function() {
+      var spec = createSwaggerObject(app, {validate: 'warn'});
+      expect(spec.info).to.have.property('version', 1);
+    });
+
+    it('skips OpenAPI 3.1 specs', function() {
+      var spec = createSwaggerObject(app, {openapi: '3.1.0', validate: true});
+      expect(spec).to.have.property('openapi', '3.1.0');
+    });
+  });
+});
@@ -9,6 +9,7 @@ var _ = require('lodash');
 var url = require('url');
 var loopback = require('loopback');
 var createSwaggerObject = require('../..').generateSwaggerSpec;
+var specValidator = require('../../lib/specgen/spec-validator');
 
 var expect = require('chai').expect;
 
@@ -137,6 +138,83 @@ describe('swagger definition', function() {
       expect(swaggerResource.tags).to.eql([
         {name: 'Product', description: 'a-description\nline2', externalDocs: undefined},
       ]);
+      expect(swaggerResource).to.not.have.property('x-tagGroups');
+    });
+
+    it('sorts and groups tags', function() {
+      var app = createLoopbackAppWithModel();
+      var Farm = loopback.createModel('Farm', {name: 'string'}, {
+        swagger: {tag: {group: 'Farms'}},
+      });
+      app.model(Farm, {dataSource: 'db'});
+      var Animal = loopback.createModel('Animal', {name: 'string'});
+      app.model(Animal, {dataSource: 'db'});
+      app.set('swagger', {tagSettings: {Animal: {group: 'Farms', order: 1}}});
+
+      var swaggerResource = createSwaggerObject(app);
+      expect(_.map(swaggerResource.tags, 'name'))
+        .to.eql(['Animal', 'Farm', 'Product']);
+      expect(swaggerResource.tags[0]).to.have.keys(
+        ['name', 'description', 'externalDocs']
+      );
+      expect(swaggerResource['x-tagGroups']).to.eql([
+        {name: 'Farms', tags: ['Animal', 'Farm']},
+        {name: 'Other', tags: ['Product']},
+      ]);
+    });
+
+    it('keeps the tags declared by the app', function() {
+      var app = createLoopbackAppWithModel();
+      app.set('swagger', {tags: [{name: 'Zeta'}, {name: 'Alpha'}]});
+
+      var swaggerResource = createSwaggerObject(app);
+      expect(_.map(swaggerResource.tags, 'name'))
+        .to.eql(['Zeta', 'Alpha', 'Product']);
+    });
+  });
+
+  describe('filter', function() {
+    var app;
+    beforeEach(function() {
+      app = createLoopbackAppWithModel();
+      givenPrivateAppModel(app, 'Report');
+      var Audit = loopback.createModel('Audit', {action: 'string'}, {
+        swagger: {audience: 'internal'},
+      });
+      app.model(Audit, {dataSource: 'db'});
+      givenSharedMethod(Audit, 'report', {
+        returns: {arg: 'report', type: 'Report', root: true},
+        http: {verb: 'get'},
+      });
+    });
+
+    it('prunes definitions and tags of filtered out operations', function() {
+      var swaggerResource = createSwaggerObject(app, {
+        filter: {exclude: {audience: 'internal'}},
+      });
+      expect(Object.keys(swaggerResource.paths)).to.not.include('/Audits');
+      expect(swaggerResource.definitions).to.not.have.property('Audit');
+      expect(swaggerResource.definitions).to.not.have.property('Report');
+      expect(swaggerResource.definitions).to.have.property('Product');
+      expect(_.map(swaggerResource.tags, 'name')).to.eql(['Product']);
+    });
+
+    it('reads the filter from the app config', function() {
+      app.set('swagger', {filter: {include: {audience: 'internal'}}});
+      var swaggerResource = createSwaggerObject(app);
+      expect(Object.keys(swaggerResource.paths)).to.include('/Audits/report');
+      expect(swaggerResource.definitions).to.have.property('Report');
+      expect(swaggerResource.definitions).to.not.have.property('Product');
+      expect(_.map(swaggerResource.tags, 'name')).to.eql(['Audit']);
+    });
+
+    it('keeps the tags declared by the app', function() {
+      app.set('swagger', {tags: [{name: 'Public'}]});
+      var swaggerResource = createSwaggerObject(app, {
+        filter: {exclude: {audience: 'internal'}},
+      });
+      expect(_.map(swaggerResource.tags, 'name'))
+        .to.eql(['Public', 'Product']);
     });
   });
 
@@ -467,8 +545,8 @@ describe('swagger definition', function() {
       // Post(create) operation should reference $new_Product
       expect(swaggerResource.paths['/Products'].post.parameters[0].schema.$ref)
         .to.equal('#/definitions/$new_Product');
-      // patch or any other operation should reference Product
-      expect(swaggerResource.paths['/Products'].patch.parameters[0].schema.$ref)
+      // put or any other operation should reference Product
+      expect(swaggerResource.paths['/Products'].put.parameters[0].schema.$ref)
         .to.equal('#/definitions/Product');
     });
 
@@ -481,10 +559,10 @@ describe('swagger definition', function() {
       var swaggerResource = createSwaggerObject(app, {
         generateOperationScopedModels: true,
       });
-      // post(create), patch or any other operation should reference Product
+      // post(create), put or any other operation should reference Product
       expect(swaggerResource.paths['/Products'].post.parameters[0].schema.$ref)
         .to.equal('#/definitions/Product');
-      expect(swaggerResource.paths['/Products'].patch.parameters[0].schema.$ref)
+      expect(swaggerResource.paths['/Products'].put.parameters[0].schema.$ref)
         .to.equal('#/definitions/Product');
     });
 
@@ -517,6 +595,96 @@ describe('swagger definition', function() {
     });
   });
 
+  describe('write-only properties', function() {
+    it('references request models from Swagger 2.0 bodies', function() {
+      var app = createLoopbackAppWithModel();
+      app.models.Product.settings.hidden = ['bar'];
+      var spec = createSwaggerObject(app);
+      expect(spec.definitions.Product.properties).to.not.have.property('bar');
+      expect(spec.definitions.$input_Product.properties).to.have.property('bar');
+      expect(spec.paths['/Products'].post.parameters[0].schema.$ref)
+        .to.equal('#/definitions/$input_Product');
+      expect(spec.paths['/Products'].get.responses[200].schema.items.$ref)
+        .to.equal('#/definitions/Product');
+    });
+  });
+
+  describe('partial updates', function() {
+    var app;
+    beforeEach(function() {
+      app = createLoopbackAppWithModel();
+      var Order = loopback.createModel('Order', {
+        total: {type: 'number', required: true},
+        code: {type: 'string', readOnly: true},
+      });
+      app.model(Order, {dataSource: 'db'});
+      app.models.Product.hasMany(Order, {as: 'orders'});
+    });
+
+    it('describes partial model instances', function() {
+      var definitions = createSwaggerObject(app, {
+        generateOperationScopedModels: true,
+      }).definitions;
+      expect(definitions.$partial_Product).to.not.have.property('required');
+      expect(definitions.$partial_Product.properties)
+        .to.have.keys(['foo', 'bar', 'aNum', 'id']);
+      expect(definitions.$partial_Order.properties)
+        .to.not.have.property('code');
+    });
+
+    it('keeps ids of partial model instances writable', function() {
+      var definitions = createSwaggerObject(app, {
+        openapi: '3.0.3',
+        generateOperationScopedModels: true,
+      }).components.schemas;
+      expect(definitions.ProductPartial.properties.id)
+        .to.not.have.property('readOnly');
+      expect(definitions.Product.properties.id)
+        .to.have.property('readOnly', true);
+    });
+
+    it('names operation scoped models without "$" in OpenAPI 3.x',
+      function() {
+        var spec = createSwaggerObject(app, {
+          openapi: '3.0.3',
+          generateOperationScopedModels: true,
+        });
+        var names = Object.keys(spec.components.schemas);
+        expect(names).to.include.members(['NewProduct', 'ProductPartial']);
+        names.forEach(function(name) {
+          expect(name).to.match(/^[a-zA-Z0-9.\-_]+$/);
+        });
+        var content = spec.paths['/Products'].patch.requestBody.content;
+        expect(content['application/json'].schema.$ref)
+          .to.equal('#/components/schemas/ProductPartial');
+      });
+
+    it('uses partial models for PATCH semantics', function() {
+      var paths = createSwaggerObject(app, {
+        generateOperationScopedModels: true,
+      }).paths;
+      var partial = {$ref: '#/definitions/$partial_Product'};
+      expect(getBodySchema(paths['/Products'].patch)).to.eql(partial);
+      expect(getBodySchema(paths['/Products/{id}'].patch)).to.eql(partial);
+      expect(getBodySchema(paths['/Products/update'].post)).to.eql(partial);
+      expect(getBodySchema(paths['/Products/{id}/orders/{fk}'].put))
+        .to.eql({$ref: '#/definitions/$partial_Order'});
+      expect(getBodySchema(paths['/Products/{id}'].put))
+        .to.have.property('$ref', '#/definitions/Product');
+    });
+
+    it('is not used without operation scoped models', function() {
+      var spec = createSwaggerObject(app);
+      expect(spec.definitions).to.not.have.property('$partial_Product');
+      expect(getBodySchema(spec.paths['/Products'].patch))
+        .to.have.property('$ref', '#/definitions/Product');
+    });
+
+    function getBodySchema(operation) {
+      return _.find(operation.parameters, {in: 'body'}).schema;
+    }
+  });
+
   describe('model with relations', function() {
     it('define custom model with relation property', function() {
       var app = createConversationAndMessageModelsWithRelations();
@@ -716,6 +884,626 @@ describe('swagger definition', function() {
           'MessageWithRelations',
         ]);
     });
+
+    it('produces the same spec when called repeatedly', function() {
+      var app = createConversationAndMessageModelsWithRelations();
+      var opts = {generateRelationProperties: true};
+      var first = createSwaggerObject(app, opts);
+      expect(createSwaggerObject(app, opts)).to.eql(first);
+    });
+  });
+
+  describe('openapi 3.0', function() {
+    var spec;
+    before(function() {
+      var app = createLoopbackAppWithModel();
+      givenSharedMethod(app.models.Product, 'upload', {
+        accepts: [
+          {arg: 'file', type: 'file'},
+          {arg: 'name', type: 'string', required: true},
+        ],
+        http: {verb: 'post'},
+      });
+      spec = createSwaggerObject(app, {
+        openapi: '3.0.3',
+        host: 'example.com',
+        protocol: 'https',
+      });
+    });
+
+    it('advertises the OpenAPI version', function() {
+      expect(spec).to.have.property('openapi', '3.0.3');
+      expect(spec).to.not.have.property('swagger');
+    });
+
+    it('builds "servers" from host, protocol and basePath', function() {
+      expect(spec.servers).to.eql([{url: 'https://example.com/api'}]);
+      expect(spec).to.not.have.property('host');
+      expect(spec).to.not.have.property('basePath');
+      expect(spec).to.not.have.property('schemes');
+    });
+
+    it('uses a relative server url when no host is configured', function() {
+      var app = createLoopbackAppWithModel();
+      var result = createSwaggerObject(app, {openapi: '3.0.3'});
+      expect(result.servers).to.eql([{url: '/api'}]);
+    });
+
+    it('describes models in "components.schemas"', function() {
+      expect(spec).to.not.have.property('definitions');
+      expect(spec.components.schemas).to.have.property('Product');
+      expect(spec.components.schemas.Product.properties.foo)
+        .to.eql({type: 'string'});
+    });
+
+    it('describes security schemes in "components.securitySchemes"', function() {
+      expect(spec).to.not.have.property('securityDefinitions');
+      expect(spec.components.securitySchemes).to.have.property('bearer');
+    });
+
+    it('describes the body parameter as "requestBody"', function() {
+      var operation = spec.paths['/Products'].post;
+      var names = _.map(operation.parameters, 'name');
+      expect(names).to.not.include('data');
+      expect(Object.keys(operation.requestBody.content)).to.have.members([
+        'application/json',
+        'application/x-www-form-urlencoded',
+        'application/xml', 'text/xml',
+      ]);
+      expect(operation.requestBody.content['application/json'].schema.$ref)
+        .to.equal('#/components/schemas/Product');
+    });
+
+    it('describes form parameters as a multipart request body', function() {
+      var operation = spec.paths['/Products/upload'].post;
+      expect(operation.parameters).to.eql([]);
+      expect(operation).to.not.have.property('consumes');
+      expect(operation.requestBody).to.eql({
+        required: true,
+        content: {
+          'multipart/form-data': {
+            schema: {
+              type: 'object',
+              properties: {
+                file: {
+                  type: 'string',
+                  format: 'binary',
+                  description: 'File to upload',
+                },
+                name: {type: 'string'},
+              },
+              required: ['name'],
+            },
+          },
+        },
+      });
+    });
+
+    it('describes JSON-encoded query parameters using "content"', function() {
+      var options = _.find(
+        spec.paths['/Products/change-stream'].get.parameters,
+        {name: 'optionsData'}
+      );
+      expect(options).to.have.property('in', 'query');
+      expect(options).to.not.have.property('type');
+      expect(options.content).to.eql({
+        'application/json': {schema: {type: 'object'}},
+      });
+    });
+
+    it('references the filter schema of the model', function() {
+      var filter = _.find(spec.paths['/Products'].get.parameters,
+        {name: 'filter'});
+      expect(filter.content).to.eql({
+        'application/json': {
+          schema: {$ref: '#/components/schemas/Product.Filter'},
+        },
+      });
+      expect(spec.components.schemas).to.have.property('Product.Where');
+    });
+
+    it('describes response schemas per media type', function() {
+      var response = spec.paths['/Products/{id}'].get.responses[200];
+      expect(response).to.not.have.property('schema');
+      expect(response.content['application/json'].schema)
+        .to.eql({$ref: '#/components/schemas/Product'});
+    });
+  });
+
+  describe('openapi 3.1', function() {
+    it('describes nullable properties with JSON Schema 2020-12', function() {
+      var app = createLoopbackAppWithModel();
+      app.models.Product.defineProperty('note', {
+        type: 'string',
+        nullable: true,
+        default: null,
+      });
+      var spec = createSwaggerObject(app, {openapi: '3.1.0'});
+      expect(spec).to.have.property('openapi', '3.1.0');
+      expect(spec.components.schemas.Product.properties.note).to.eql({
+        type: ['string', 'null'],
+        default: null,
+      });
+    });
+
+    it('accepts the version without patch number', function() {
+      var app = createLoopbackAppWithModel();
+      app.models.Product.defineProperty('note', {type: 'string', nullable: true});
+      var spec = createSwaggerObject(app, {openapi: '3.1'});
+      expect(spec).to.have.property('openapi', '3.1.0');
+      expect(spec.components.schemas.Product.properties.note)
+        .to.have.property('type').eql(['string', 'null']);
+    });
+
+    it('emits model examples as an "examples" array', function() {
+      var app = createLoopbackAppWithModel();
+      app.models.Product.settings.swagger = {example: {foo: 'bar'}};
+      var spec = createSwaggerObject(app, {openapi: '3.1.0'});
+      var schema = spec.components.schemas.Product;
+      expect(schema).to.not.have.property('example');
+      expect(schema.examples).to.eql([{foo: 'bar'}]);
+    });
+  });
+
+  describe('security', function() {
+    it('describes the Authorization header by default', function() {
+      var app = createLoopbackAppWithModel();
+      var spec = createSwaggerObject(app);
+      expect(spec.securityDefinitions).to.eql({
+        bearer: {type: 'apiKey', in: 'header', name: 'Authorization'},
+      });
+    });
+
+    it('describes token locations of the token middleware', function() {
+      var app = createLoopbackAppWithModel();
+      var spec = createSwaggerObject(app, {accessToken: {}});
+      expect(Object.keys(spec.securityDefinitions)).to.have.members([
+        'bearer', 'header_X-Access-Token', 'query_access_token',
+      ]);
+    });
+
+    it('honours "accessToken" options', function() {
+      var app = createLoopbackAppWithModel();
+      var spec = createSwaggerObject(app, {
+        accessToken: {headers: ['X-Api-Key'], searchDefaultTokenKeys: false},
+      });
+      expect(spec.securityDefinitions).to.eql({
+        'header_X-Api-Key': {type: 'apiKey', in: 'header', name: 'X-Api-Key'},
+      });
+    });
+
+    it('reads "accessToken" options from app config', function() {
+      var app = createLoopbackAppWithModel();
+      app.set('swagger', {
+        accessToken: {headers: ['X-Api-Key'], searchDefaultTokenKeys: false},
+      });
+      var spec = createSwaggerObject(app, {validate: true});
+      expect(spec).to.not.have.property('accessToken');
+      expect(spec.securityDefinitions).to.eql({
+        'header_X-Api-Key': {type: 'apiKey', in: 'header', name: 'X-Api-Key'},
+      });
+    });
+
+    it('reads "securitySchemes" from app config', function() {
+      var app = createLoopbackAppWithModel();
+      app.set('swagger', {
+        accessToken: {},
+        securitySchemes: {basicAuth: {type: 'http', scheme: 'basic'}},
+      });
+      var spec = createSwaggerObject(app, {validate: true});
+      expect(spec).to.not.have.property('securitySchemes');
+      expect(spec.securityDefinitions).to.eql({basicAuth: {type: 'basic'}});
+    });
+
+    it('keeps security definitions from app config', function() {
+      var app = createConversationAndMessageModelsWithRelations();
+      app.set('swagger', {
+        securityDefinitions: {basicAuth: {type: 'basic'}},
+      });
+      var spec = createSwaggerObject(app);
+      expect(spec.securityDefinitions).to.eql({basicAuth: {type: 'basic'}});
+      expect(spec.paths['/Users/{id}'].get.security)
+        .to.eql([{basicAuth: []}]);
+    });
+
+    it('references all schemes from secured operations', function() {
+      var app = createConversationAndMessageModelsWithRelations();
+      var spec = createSwaggerObject(app, {accessToken: {}});
+      expect(spec.paths['/Users/{id}'].get.security).to.have.deep.members([
+        {bearer: []},
+        {'header_X-Access-Token': []},
+        {'query_access_token': []},
+      ]);
+    });
+
+    it('supports per-model security requirements', function() {
+      var app = createConversationAndMessageModelsWithRelations();
+      app.models.User.settings.swagger = {security: [{bearer: []}]};
+      var spec = createSwaggerObject(app);
+      expect(spec.paths['/Users/{id}'].get.security).to.eql([{bearer: []}]);
+    });
+
+    it('converts declared schemes to OpenAPI 3.x', function() {
+      var app = createLoopbackAppWithModel();
+      var spec = createSwaggerObject(app, {
+        openapi: '3.0.3',
+        securityDefinitions: {basicAuth: {type: 'basic'}},
+      });
+      expect(spec.components.securitySchemes).to.eql({
+        basicAuth: {type: 'http', scheme: 'basic'},
+      });
+    });
+  });
+
+  describe('access control', function() {
+    var spec;
+    before(function() {
+      var app = createConversationAndMessageModelsWithRelations();
+      spec = createSwaggerObject(app);
+    });
+
+    it('does not secure operations allowed to everyone', function() {
+      expect(spec.paths['/Users/login'].post).to.not.have.property('security');
+      expect(spec.paths['/Users'].post).to.not.have.property('security');
+    });
+
+    it('secures operations denied to unauthenticated callers', function() {
+      expect(spec.paths['/Users/{id}'].get).to.have.property('security');
+      expect(spec.paths['/Users/change-password'].post)
+        .to.have.property('security');
+    });
+
+    it('emits the effective permission of each operation', function() {
+      expect(spec.paths['/Users/{id}'].get['x-loopback-permission']).to.eql({
+        accessType: 'READ',
+        unauthenticated: 'DENY',
+        authenticated: 'DENY',
+      });
+      expect(spec.paths['/Users/change-password'].post['x-loopback-permission'])
+        .to.eql({
+          accessType: 'EXECUTE',
+          unauthenticated: 'DENY',
+          authenticated: 'ALLOW',
+        });
+    });
+
+    it('lists principals allowed and denied by ACLs', function() {
+      expect(spec.paths['/Users/{id}'].get['x-loopback-acl']).to.eql({
+        accessType: 'READ',
+        allow: [{principalType: 'ROLE', principalId: '$owner'}],
+        deny: [
+          {principalType: 'ROLE', principalId: '$unauthenticated'},
+          {principalType: 'ROLE', principalId: '$authenticated'},
+        ],
+      });
+    });
+  });
+
+  describe('roles as scopes', function() {
+    var OAUTH2_SCHEME = {
+      type: 'oauth2',
+      flow: 'password',
+      tokenUrl: 'https://example.com/token',
+      scopes: {profile: 'Read the user profile'},
+    };
+
+    it('lists allowed roles as scopes of the oauth2 scheme', function() {
+      var app = createConversationAndMessageModelsWithRelations();
+      var spec = createSwaggerObject(app, {
+        securityDefinitions: {oauth: OAUTH2_SCHEME},
+        rolesAsScopes: true,
+      });
+      expect(spec.paths['/Users/{id}'].get.security)
+        .to.eql([{oauth: ['$owner']}]);
+      expect(spec.paths['/Users/change-password'].post.security)
+        .to.eql([{oauth: ['$authenticated']}]);
+      expect(spec.securityDefinitions.oauth.scopes).to.have.keys([
+        'profile', '$owner', '$authenticated',
+      ]);
+      expect(OAUTH2_SCHEME.scopes).to.have.keys(['profile']);
+    });
+
+    it('adds scopes to every flow in OpenAPI 3.x', function() {
+      var app = createConversationAndMessageModelsWithRelations();
+      var spec = createSwaggerObject(app, {
+        openapi: '3.0.3',
+        securityDefinitions: {oauth: OAUTH2_SCHEME},
+        rolesAsScopes: 'oauth',
+      });
+      expect(spec.components.securitySchemes.oauth.flows.password.scopes)
+        .to.have.property('$owner');
+      expect(spec.paths['/Users/{id}'].get.security)
+        .to.eql([{oauth: ['$owner']}]);
+    });
+
+    it('reads the option from app config', function() {
+      var app = createConversationAndMessageModelsWithRelations();
+      app.set('swagger', {
+        securityDefinitions: {oauth: OAUTH2_SCHEME},
+        rolesAsScopes: true,
+      });
+      var spec = createSwaggerObject(app);
+      expect(spec).to.not.have.property('rolesAsScopes');
+      expect(spec.paths['/Users/{id}'].get.security)
+        .to.eql([{oauth: ['$owner']}]);
+    });
+
+    it('ignores the option without an oauth2 scheme', function() {
+      var app = createConversationAndMessageModelsWithRelations();
+      var spec = createSwaggerObject(app, {
+        securityDefinitions: {basicAuth: {type: 'basic'}},
+        rolesAsScopes: true,
+      });
+      expect(spec.paths['/Users/{id}'].get.security)
+        .to.eql([{basicAuth: []}]);
+    });
+  });
+
+  describe('persisted ACLs', function() {
+    var app;
+    beforeEach(function() {
+      app = createConversationAndMessageModelsWithRelations();
+      ['ACL', 'Role', 'RoleMapping'].forEach(function(name) {
+        app.model(app.registry.getModel(name),
+          {dataSource: 'db', public: false});
+      });
+      return app.models.ACL.create([
+        {model: 'Conversation', property: '*', accessType: '*',
+          principalType: 'ROLE', principalId: '$everyone', permission: 'DENY'},
+        {model: 'Conversation', property: '*', accessType: '*',
+          principalType: 'ROLE', principalId: 'admin', permission: 'ALLOW'},
+        {model: 'Conversation', property: '*', accessType: 'READ',
+          principalType: 'ROLE', principalId: 'editor', permission: 'ALLOW'},
+      ]);
+    });
+
+    it('secures operations denied by persisted ACLs', function() {
+      return createSwaggerObject.createSwaggerObjectAsync(app)
+        .then(function(spec) {
+          expect(spec.paths['/Conversations'].get).to.have.property('security');
+          expect(spec.paths['/Conversations/{id}'].delete['x-loopback-acl'].allow)
+            .to.eql([{principalType: 'ROLE', principalId: 'admin'}]);
+        });
+    });
+
+    it('honours roles granted by role mappings', function() {
+      var Role = app.models.Role;
+      return Promise.all([
+        Role.create({name: 'admin'}),
+        Role.create({name: 'editor'}),
+      ]).then(function(roles) {
+        return app.models.RoleMapping.create({
+          principalType: 'ROLE',
+          principalId: roles[1].id,
+          roleId: roles[0].id,
+        });
+      }).then(function() {
+        return createSwaggerObject.createSwaggerObjectAsync(app);
+      }).then(function(spec) {
+        var acl = spec.paths['/Conversations/{id}'].delete['x-loopback-acl'];
+        expect(acl.allow).to.eql([
+          {principalType: 'ROLE', principalId: 'admin'},
+          {principalType: 'ROLE', principalId: 'editor'},
+        ]);
+      });
+    });
+
+    it('keeps the synchronous API limited to static ACLs', function() {
+      var spec = createSwaggerObject(app);
+      expect(spec.paths['/Conversations'].get).to.not.have.property('security');
+    });
+  });
+
+  describe('filter parameters', function() {
+    var spec;
+    before(function() {
+      spec = createSwaggerObject(createConversationAndMessageModelsWithRelations());
+    });
+
+    it('describes the JSON value of filters in Swagger 2.0', function() {
+      var filter = _.find(spec.paths['/Messages/findOne'].get.parameters,
+        {name: 'filter'});
+      expect(filter).to.have.property('type', 'string');
+      expect(filter).to.have.property('format', 'JSON');
+      expect(filter).to.have.property('x-schema')
+        .eql({$ref: '#/definitions/Message.Filter'});
+      expect(spec.definitions).to.have.property('Message.Filter');
+      expect(spec.definitions).to.have.property('Message.Where');
+    });
+
+    it('uses the filter of the related model for relation getters',
+      function() {
+        var path = '/Conversations/{id}/messages';
+        var filter = _.find(spec.paths[path].get.parameters,
+          {name: 'filter'});
+        expect(filter['x-schema'])
+          .eql({$ref: '#/definitions/Message.Filter'});
+      });
+
+    it('describes where parameters', function() {
+      var where = _.find(spec.paths['/Messages/count'].get.parameters,
+        {name: 'where'});
+      expect(where['x-schema']).eql({$ref: '#/definitions/Message.Where'});
+      where = _.find(spec.paths['/Messages/update'].post.parameters,
+        {name: 'where'});
+      expect(where['x-schema']).eql({$ref: '#/definitions/Message.Where'});
+      where = _.find(
+        spec.paths['/Conversations/{id}/messages/count'].get.parameters,
+        {name: 'where'}
+      );
+      expect(where['x-schema']).eql({$ref: '#/definitions/Message.Where'});
+    });
+
+    it('keeps other object parameters generic', function() {
+      var data = _.find(spec.paths['/Messages/update'].post.parameters,
+        {name: 'data'});
+      expect(data).to.not.have.property('x-schema');
+    });
+  });
+
+  describe('error responses', function() {
+    var spec;
+    before(function() {
+      spec = createSwaggerObject(createConversationAndMessageModelsWithRelations());
+    });
+
+    it('defines the error envelopes', function() {
+      expect(spec.definitions).to.have.property('Error')
+        .to.have.nested.property('properties.error.required')
+        .eql(['statusCode', 'name', 'message']);
+      expect(spec.definitions).to.have.nested.property(
+        'ValidationError.properties.error.properties.details.properties.codes'
+      );
+    });
+
+    it('prefers application models named like the envelopes', function() {
+      var app = loopback({localRegistry: true, loadBuiltinModels: true});
+      app.dataSource('db', {connector: 'memory'});
+      var AppError = app.registry.createModel('Error', {reason: 'string'});
+      app.model(AppError, {dataSource: 'db', public: false});
+      var Report = app.registry.createModel('Report', {title: 'string'});
+      app.model(Report, {dataSource: 'db'});
+      givenSharedMethod(Report, 'lastError', {
+        returns: {arg: 'error', type: 'Error', root: true},
+        http: {verb: 'get'},
+      });
+
+      var spec = createSwaggerObject(app);
+      expect(spec.definitions.Error.properties).to.have.property('reason');
+      expect(spec.definitions.ValidationError.properties)
+        .to.have.property('error');
+    });
+
+    it('adds 401 and 403 to secured operations', function() {
+      var responses = spec.paths['/Users/{id}'].get.responses;
+      expect(responses[401]).to.eql({
+        description: 'Authorization Required',
+        schema: {$ref: '#/definitions/Error'},
+      });
+      expect(responses).to.have.property(403);
+      expect(spec.paths['/Users/login'].post.responses)
+        .to.not.have.property(401);
+    });
+
+    it('adds 404 to findById and prototype methods', function() {
+      expect(spec.paths['/Messages/{id}'].get.responses)
+        .to.have.property(404);
+      expect(spec.paths['/Messages/{id}'].patch.responses)
+        .to.have.property(404);
+      expect(spec.paths['/Messages'].get.responses)
+        .to.not.have.property(404);
+    });
+
+    it('adds 422 to methods validating data', function() {
+      expect(spec.paths['/Messages'].post.responses[422]).to.eql({
+        description: 'Validation failed',
+        schema: {$ref: '#/definitions/ValidationError'},
+      });
+      expect(spec.paths['/Messages/count'].get.responses)
+        .to.not.have.property(422);
+    });
+  });
+
+  it('documents the responses metadata of remote methods', function() {
+    var app = createLoopbackAppWithModel();
+    var Product = app.models.Product;
+    Product.reserve = function(cb) {};
+    Product.remoteMethod('reserve', {
+      http: {verb: 'post'},
+      responses: {409: {description: 'Out of stock'}},
+    });
+    var spec = createSwaggerObject(app);
+    expect(spec.paths['/Products/reserve'].post.responses)
+      .to.have.property(409).eql({
+        description: 'Out of stock',
+        schema: {$ref: '#/definitions/Error'},
+      });
+  });
+
+  describe('access scopes', function() {
+    var app;
+    beforeEach(function() {
+      app = createConversationAndMessageModelsWithRelations();
+      var Conversation = app.models.Conversation;
+      Conversation.summarize = function(cb) {};
+      Conversation.remoteMethod('summarize', {
+        accessScopes: ['read', 'summarize'],
+        http: {verb: 'get', path: '/summary'},
+      });
+    });
+
+    it('emits an oauth2 scheme with all scopes', function() {
+      var spec = createSwaggerObject(app, {host: 'example.com'});
+      var scheme = spec.securityDefinitions.oauth2;
+      expect(scheme).to.have.property('flow', 'password');
+      expect(scheme).to.have.property('tokenUrl',
+        'http://example.com/api/Users/login');
+      expect(scheme.scopes).to.have.keys(['DEFAULT', 'read', 'summarize']);
+    });
+
+    it('uses a relative token URL in OpenAPI 3.x', function() {
+      var spec = createSwaggerObject(app, {openapi: '3.0.3'});
+      expect(spec.components.securitySchemes.oauth2)
+        .to.have.nested.property('flows.password.tokenUrl', '/api/Users/login');
+    });
+
+    it('omits the scheme in Swagger 2.0 when the host is not known',
+      function() {
+        var spec = createSwaggerObject(app);
+        expect(spec.securityDefinitions).to.not.have.property('oauth2');
+        expect(specValidator.validateSwaggerSpec(spec)).to.eql([]);
+      });
+
+    it('lists the scopes accepted by each operation', function() {
+      var spec = createSwaggerObject(app, {host: 'example.com'});
+      var summarize = spec.paths['/Conversations/summary'].get;
+      expect(summarize.security).to.deep.include.members([
+        {oauth2: ['read']},
+        {oauth2: ['summarize']},
+        {bearer: []},
+      ]);
+      expect(spec.paths['/Users/{id}'].get.security)
+        .to.deep.include({oauth2: ['DEFAULT']});
+    });
+
+    it('secures public methods requiring custom scopes', function() {
+      var spec = createSwaggerObject(app);
+      expect(spec.paths['/Conversations/summary'].get['x-loopback-permission'])
+        .to.have.property('unauthenticated', 'DENY');
+      expect(spec.paths['/Conversations'].get)
+        .to.not.have.property('security');
+    });
+
+    it('adds scopes to a declared oauth2 scheme', function() {
+      var spec = createSwaggerObject(app, {
+        openapi: '3.0.3',
+        securityDefinitions: {
+          oauth: {
+            type: 'oauth2',
+            flow: 'application',
+            tokenUrl: 'https://example.com/token',
+            scopes: {read: 'Read data'},
+          },
+        },
+      });
+      var schemes = spec.components.securitySchemes;
+      expect(schemes).to.have.keys(['oauth']);
+      expect(schemes.oauth.flows.clientCredentials.scopes).to.eql({
+        read: 'Read data',
+        summarize: 'Tokens granted the summarize scope',
+        DEFAULT: 'Tokens granted the DEFAULT scope',
+      });
+      expect(spec.paths['/Conversations/summary'].get.security).to.eql([
+        {oauth: ['read']},
+        {oauth: ['summarize']},
+      ]);
+    });
+
+    it('omits the scheme when no method declares scopes', function() {
+      var otherApp = createConversationAndMessageModelsWithRelations();
+      var spec = createSwaggerObject(otherApp);
+      expect(spec.securityDefinitions).to.not.have.property('oauth2');
+    });
   });
 
   function createLoopbackAppWithModel(options) {
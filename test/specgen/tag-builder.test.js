@@ -8,6 +8,7 @@
 var tagBuilder = require('../../lib/specgen/tag-builder');
 var expect = require('chai').expect;
 var _defaults = require('lodash').defaults;
+var _map = require('lodash').map;
 
 describe('tag-builder', function() {
   it('joins array descriptions from ctor.settings', function() {
@@ -41,4 +42,71 @@ describe('tag-builder', function() {
 
     expect(tag.externalDocs).to.eql({url: 'http://google.com'});
   });
+
+  it('reads group and order from model options', function() {
+    var tag = tagBuilder.buildTagFromClass({
+      ctor: {settings: {swagger: {tag: {group: 'Farms', order: 2}}}},
+    });
+
+    expect(tag).to.include({group: 'Farms', order: 2});
+  });
+
+  it('falls back to tagSettings for group and order', function() {
+    var opts = {tagSettings: {Paddock: {group: 'Farms', order: 3}}};
+    var tag = tagBuilder.buildTagFromClass({
+      name: 'Paddock',
+      ctor: {settings: {swagger: {tag: {order: 1}}}},
+    }, opts);
+
+    expect(tag).to.include({group: 'Farms', order: 1});
+  });
+
+  it('sorts tags by order, then by name', function() {
+    var tags = tagBuilder.sortTags([
+      {name: 'b'}, {name: 'c', order: 2}, {name: 'a'}, {name: 'd', order: 1},
+    ]);
+
+    expect(_map(tags, 'name')).to.eql(['d', 'c', 'a', 'b']);
+  });
+
+  it('builds tag groups with a fallback group', function() {
+    var tags = [
+      {name: 'Farm', group: 'Farms'},
+      {name: 'User'},
+      {name: 'Animal', group: 'Livestock'},
+      {name: 'Paddock', group: 'Farms'},
+    ];
+
+    expect(tagBuilder.buildTagGroups(tags)).to.eql([
+      {name: 'Farms', tags: ['Farm', 'Paddock']},
+      {name: 'Livestock', tags: ['Animal']},
+      {name: 'Other', tags: ['User']},
+    ]);
+    expect(tagBuilder.buildTagGroups(tags, {defaultTagGroup: 'Misc'}))
+      .to.have.nested.property('[2].name', 'Misc');
+  });
+
+  it('builds no tag groups when no tag declares one', function() {
+    expect(tagBuilder.buildTagGroups([{name: 'User'}])).to.equal(undefined);
+  });
+
+  it('lists tags declared by the app first, in their order', function() {
+    var swaggerObject = {tags: [
+      {name: 'Zeta'},
+      {name: 'Farm', description: 'Declared by the app'},
+      {name: 'Alpha'},
+      {name: 'User', generated: true},
+      {name: 'Farm', generated: true, order: 1},
+      {name: 'Animal', generated: true, order: 2},
+    ]};
+    tagBuilder.organizeTags(swaggerObject);
+
+    expect(swaggerObject.tags).to.eql([
+      {name: 'Zeta'},
+      {name: 'Farm', description: 'Declared by the app'},
+      {name: 'Alpha'},
+      {name: 'Animal'},
+      {name: 'User'},
+    ]);
+  });
 });